@@ -9,13 +9,33 @@ let recordedChunks = [];
 let isPlaying = false;
 let selectedTrackIndex = -1;
 let audioSources = [];
-let trackPlayStates = []; // Track individual play states
-let trackAudioSources = []; // Track individual audio sources
-let bpm = 120;
-let playbackStartTime = 0;
+let trackPlayStates = new Map(); // Track id -> whether the track plays on its own
+let trackAudioSources = new Map(); // Track id -> sources of the track playing on its own
+let bpm = 120; // Tempo the song starts at; later changes are in tempoMap
 let playbackPositionInterval;
 let draggedElement = null;
 let dragOffset = { x: 0, y: 0 };
+let autosaveEnabled = false; // Enabled once the startup restore prompt is answered
+let autosaveTimer = null;
+let currentSnapshotId = null; // Rolling snapshot that autosave currently writes to
+let gridDivision = '1/16'; // Snap grid for placing and moving events
+let patterns = {}; // Step sequencer patterns by id, shared by pattern clips
+let activeEditor = null; // Redraws the open clip editor after edits and undo
+let mixer = newMixer(); // Master bus and send return settings
+let liveMix = null; // Mix graph in audioCtx that live playback runs through
+let meterFrame = null; // requestAnimationFrame id while the meters are running
+let selectedAutomationPoint = null; // Point whose curve the lane's curve menu edits
+let playheadTicks = 0; // Where the playhead rests while stopped, set on the ruler
+let selectedEvents = new Set(); // Events selected on the timeline, across tracks
+let clipboard = null; // Copied events, see copySelection()
+let transport = null; // Scheduler running Play All, see startTransport()
+let loopRegion = null; // Stretch of the ruler that playback repeats, see newLoopRegion()
+let recordingTake = null; // Take being recorded, see recordVocals()
+let recordingSettings = null; // Count-in, metronome and input latency, see loadRecordingSettings()
+let tempoMap = null; // Tempo and time signature changes, see newTempoMap()
+let tempoCache = {}; // Segments worked out from the tempo map, see clearTempoCache()
+let pixelsPerBeat = null; // Timeline zoom, see setTimelineZoom()
+let folders = {}; // Track folders by id, see newFolder()
 
 // Initialize audio context (user gesture required)
 function initAudioContext() {
@@ -27,7 +47,221 @@ function initAudioContext() {
   }
 }
 
-// Sample data with durations and categories
+// Musical time
+// Event positions are stored as { bar, beat, tick } (all zero-based) and only
+// converted to seconds through the tempo map when they are drawn or
+// scheduled. Ticks count quarter notes, TICKS_PER_BEAT to each, from the
+// start of the song; a beat is one note of the bar's time signature, so a
+// beat of 7/8 is half as many ticks as one of 4/4.
+const TICKS_PER_BEAT = 480;
+const BEATS_PER_BAR = 4;
+const MIN_TIMELINE_BARS = 4;
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+const DEFAULT_METER = { numerator: BEATS_PER_BAR, denominator: 4 };
+const METER_DENOMINATORS = [2, 4, 8, 16];
+
+// Snap grid sizes in ticks; triplets fit three notes in the space of two
+const GRID_DIVISIONS = {
+  '1/4': TICKS_PER_BEAT,
+  '1/8': TICKS_PER_BEAT / 2,
+  '1/16': TICKS_PER_BEAT / 4,
+  '1/4T': TICKS_PER_BEAT * 2 / 3,
+  '1/8T': TICKS_PER_BEAT / 3,
+  '1/16T': TICKS_PER_BEAT / 6
+};
+
+// The tempo map: tempo changes { bar, bpm, ramp } and time signature changes
+// { bar, numerator, denominator }, each sorted by bar. The song starts at
+// `bpm` in 4/4 unless a time signature change sits on bar 0. A ramped tempo
+// change glides from the tempo before it, evenly over the beats, and arrives
+// on its bar; an instant one jumps there.
+function newTempoMap() {
+  return { tempos: [], meters: [] };
+}
+
+// The meter and tempo segments are worked out once and kept until this is
+// called, which everything that changes `tempoMap` or `bpm` has to do
+function clearTempoCache() {
+  tempoCache = {};
+}
+
+function getMeterBeatTicks(meter) {
+  return TICKS_PER_BEAT * 4 / meter.denominator;
+}
+
+function getMeterBarTicks(meter) {
+  return meter.numerator * getMeterBeatTicks(meter);
+}
+
+// Stretches of one time signature: { bar, ticks, numerator, denominator }
+// from the bar (and tick) where each begins
+function getMeterSegments() {
+  if (!tempoCache.meters) tempoCache.meters = buildMeterSegments(tempoMap.meters);
+  return tempoCache.meters;
+}
+
+function buildMeterSegments(meters) {
+  const segments = [{ bar: 0, ticks: 0, ...DEFAULT_METER }];
+  meters.forEach(({ bar, numerator, denominator }) => {
+    const last = segments[segments.length - 1];
+    const ticks = last.ticks + (bar - last.bar) * getMeterBarTicks(last);
+    if (bar === last.bar) segments.pop();
+    segments.push({ bar, ticks, numerator, denominator });
+  });
+  return segments;
+}
+
+// Time signature of a bar
+function getMeterAt(bar) {
+  return getMeterSegments().findLast(segment => segment.bar <= bar);
+}
+
+function positionToTicks(position) {
+  const meter = getMeterAt(position.bar);
+  return meter.ticks + (position.bar - meter.bar) * getMeterBarTicks(meter) +
+    position.beat * getMeterBeatTicks(meter) + position.tick;
+}
+
+function ticksToPosition(ticks) {
+  const wholeTicks = Math.max(0, Math.round(ticks));
+  const meter = getMeterSegments().findLast(segment => segment.ticks <= wholeTicks);
+  const beatTicks = getMeterBeatTicks(meter);
+  const ticksInMeter = wholeTicks - meter.ticks;
+  const beats = Math.floor(ticksInMeter / beatTicks);
+  return {
+    bar: meter.bar + Math.floor(beats / meter.numerator),
+    beat: beats % meter.numerator,
+    tick: ticksInMeter % beatTicks
+  };
+}
+
+function barToTicks(bar) {
+  return positionToTicks({ bar, beat: 0, tick: 0 });
+}
+
+// The first bar line at or after a tick
+function ceilToBar(ticks) {
+  const position = ticksToPosition(ticks);
+  const bar = barToTicks(position.bar);
+  return bar >= ticks ? bar : barToTicks(position.bar + 1);
+}
+
+// Number of whole bars in a span of ticks starting on a bar line
+function ticksToBars(ticks) {
+  return ticksToPosition(ticks).bar;
+}
+
+// Stretches of the tempo map: { ticks, seconds, bpm, endTicks, endBpm },
+// each starting where a tempo change falls. The tempo runs from `bpm` to
+// `endBpm` over the stretch, so it is constant unless the next change ramps.
+function getTempoSegments() {
+  if (tempoCache.tempos) return tempoCache.tempos;
+  
+  const changes = [{ ticks: 0, bpm }, ...tempoMap.tempos.map(change => ({ ...change, ticks: barToTicks(change.bar) }))];
+  const segments = [];
+  let seconds = 0;
+  changes.forEach((change, index) => {
+    const next = changes[index + 1];
+    const segment = {
+      ticks: change.ticks,
+      seconds,
+      bpm: change.bpm,
+      endTicks: next ? next.ticks : Infinity,
+      endBpm: next?.ramp ? next.bpm : change.bpm
+    };
+    segments.push(segment);
+    if (next) {
+      seconds += getSegmentSeconds(segment, next.ticks - change.ticks);
+    }
+  });
+  tempoCache.tempos = segments;
+  return segments;
+}
+
+// Tempo change per beat over a tempo segment
+function getTempoSlope(segment) {
+  if (segment.endBpm === segment.bpm) return 0;
+  return (segment.endBpm - segment.bpm) / ((segment.endTicks - segment.ticks) / TICKS_PER_BEAT);
+}
+
+// Seconds the first `ticks` of a tempo segment last. Under a ramp the tempo
+// grows linearly with the beats, so time is the integral of 60 / tempo.
+function getSegmentSeconds(segment, ticks) {
+  const beats = ticks / TICKS_PER_BEAT;
+  const slope = getTempoSlope(segment);
+  if (slope === 0) return beats * 60 / segment.bpm;
+  return 60 / slope * Math.log((segment.bpm + slope * beats) / segment.bpm);
+}
+
+// Ticks into a tempo segment after `seconds`, the inverse of getSegmentSeconds()
+function getSegmentTicks(segment, seconds) {
+  const slope = getTempoSlope(segment);
+  const beats = slope === 0
+    ? seconds * segment.bpm / 60
+    : segment.bpm * (Math.exp(seconds * slope / 60) - 1) / slope;
+  return beats * TICKS_PER_BEAT;
+}
+
+// Tempo at a tick
+function getTempoAt(ticks) {
+  const segments = getTempoSegments();
+  const segment = segments.findLast(candidate => candidate.ticks <= ticks) || segments[0];
+  return segment.bpm + getTempoSlope(segment) * (ticks - segment.ticks) / TICKS_PER_BEAT;
+}
+
+// Song time in seconds at a tick, and back. Both hold before the song start
+// too, at the starting tempo.
+function ticksToSeconds(ticks) {
+  const segments = getTempoSegments();
+  const segment = segments.findLast(candidate => candidate.ticks <= ticks) || segments[0];
+  return segment.seconds + getSegmentSeconds(segment, ticks - segment.ticks);
+}
+
+function secondsToTicks(seconds) {
+  const segments = getTempoSegments();
+  const segment = segments.findLast(candidate => candidate.seconds <= seconds) || segments[0];
+  return segment.ticks + getSegmentTicks(segment, seconds - segment.seconds);
+}
+
+// Start of an event in seconds through the tempo map
+function eventStartSeconds(event) {
+  return ticksToSeconds(positionToTicks(event.position));
+}
+
+// Length of an event in ticks: samples last as long as the sample, pattern
+// clips as long as their repeats and notes clips have a set length
+function eventLengthTicks(event) {
+  if (event.type === 'pattern') {
+    return getPatternClipTicks(event);
+  }
+  if (event.type === 'notes') {
+    return event.lengthTicks;
+  }
+  return secondsToTicks(eventStartSeconds(event) + event.duration) - positionToTicks(event.position);
+}
+
+function eventDurationSeconds(event) {
+  const startTicks = positionToTicks(event.position);
+  return ticksToSeconds(startTicks + eventLengthTicks(event)) - ticksToSeconds(startTicks);
+}
+
+// Snap a tick value to the selected grid. The grid starts again on every
+// bar line, since after an odd time signature bars fall between grid lines.
+function snapTicks(ticks) {
+  const grid = GRID_DIVISIONS[gridDivision];
+  if (!grid) return Math.max(0, Math.round(ticks));
+  
+  const { bar } = ticksToPosition(ticks);
+  const barStart = barToTicks(bar);
+  const nextBar = barToTicks(bar + 1);
+  const snapped = barStart + Math.round((ticks - barStart) / grid) * grid;
+  // The last grid line can be further away than the next bar line
+  return Math.max(0, Math.round(Math.abs(nextBar - ticks) < Math.abs(snapped - ticks) ? nextBar : snapped));
+}
+
+// Sample data with durations and categories. Pitched instruments have a
+// rootNote: the MIDI note they sound at when played unchanged.
 const sampleData = {
   // Drums
   kick: { duration: 0.5, category: 'drums', color: '#FF6B6B' },
@@ -38,20 +272,20 @@ const sampleData = {
   tom: { duration: 0.8, category: 'drums', color: '#FD79A8' },
   
   // Bass
-  bass1: { duration: 1.0, category: 'bass', color: '#00B894' },
-  bass2: { duration: 1.2, category: 'bass', color: '#00CEC9' },
-  subbass: { duration: 2.0, category: 'bass', color: '#6C5CE7' },
-  synthbass: { duration: 1.5, category: 'bass', color: '#A29BFE' },
+  bass1: { duration: 1.0, category: 'bass', color: '#00B894', rootNote: 40 },
+  bass2: { duration: 1.2, category: 'bass', color: '#00CEC9', rootNote: 40 },
+  subbass: { duration: 2.0, category: 'bass', color: '#6C5CE7', rootNote: 28 },
+  synthbass: { duration: 1.5, category: 'bass', color: '#A29BFE', rootNote: 40 },
   
   // Synths
-  lead: { duration: 2.0, category: 'synths', color: '#FD79A8' },
-  pad: { duration: 4.0, category: 'synths', color: '#FDCB6E' },
-  pluck: { duration: 0.5, category: 'synths', color: '#E17055' },
-  arp: { duration: 1.0, category: 'synths', color: '#81ECEC' },
+  lead: { duration: 2.0, category: 'synths', color: '#FD79A8', rootNote: 69 },
+  pad: { duration: 4.0, category: 'synths', color: '#FDCB6E', rootNote: 57 },
+  pluck: { duration: 0.5, category: 'synths', color: '#E17055', rootNote: 76 },
+  arp: { duration: 1.0, category: 'synths', color: '#81ECEC', rootNote: 81 },
   
   // Other
-  vocal: { duration: 3.0, category: 'other', color: '#FAB1A0' },
-  fx: { duration: 1.0, category: 'other', color: '#E84393' }
+  vocal: { duration: 3.0, category: 'other', color: '#FAB1A0', rootNote: 69 },
+  fx: { duration: 1.0, category: 'other', color: '#E84393', rootNote: 69 }
 };
 
 // Create synthetic audio buffers (since we don't have actual audio files)
@@ -117,750 +351,7372 @@ function createSyntheticBuffer(name) {
   return buffer;
 }
 
-// Load or create audio sample
-async function loadSample(name) {
+// Sample registry
+// Each sample is loaded once and its AudioBuffer is shared by every event
+// that plays it; events only keep the sample id. Built-in samples come from
+// samples/<id>.wav when the file exists and are synthesized otherwise. A file
+// that exists but fails to decode is reported and replaced by the synthetic
+// sound. `origin` is 'loading', 'file', 'synthetic' or 'user'.
+const sampleRegistry = new Map(); // id -> { promise, buffer, origin, error }
+
+const SAMPLE_BADGES = {
+  loading: '…',
+  file: 'file',
+  user: 'file',
+  synthetic: 'synth'
+};
+
+// Load or create audio sample; resolves with the shared buffer
+function loadSample(sampleId) {
+  let entry = sampleRegistry.get(sampleId);
+  if (entry) return entry.promise;
+  
+  if (!sampleData[sampleId]) {
+    return Promise.reject(new Error(`Unknown sample: ${sampleId}`));
+  }
+  
+  entry = { promise: null, buffer: null, origin: 'loading', error: null };
+  sampleRegistry.set(sampleId, entry);
+  entry.promise = fetchBuiltinSample(sampleId, entry).then(buffer => {
+    entry.buffer = buffer;
+    updateSampleBadges();
+    return buffer;
+  });
+  return entry.promise;
+}
+
+// Decode samples/<name>.wav, falling back to a synthetic buffer
+async function fetchBuiltinSample(name, entry) {
+  const url = `samples/${name}.wav`;
+  let response = null;
   try {
-    // Try to load from samples folder first
-    const response = await fetch(`samples/${name}.wav`);
-    if (response.ok) {
-      const arrayBuffer = await response.arrayBuffer();
-      return audioCtx.decodeAudioData(arrayBuffer);
-    }
+    response = await fetch(url);
   } catch (error) {
-    console.log(`Creating synthetic sound for ${name}`);
+    // No server to fetch from, e.g. when the page is opened from disk
+  }
+  
+  if (response && response.ok) {
+    try {
+      const buffer = await audioCtx.decodeAudioData(await response.arrayBuffer());
+      entry.origin = 'file';
+      return buffer;
+    } catch (error) {
+      entry.error = error;
+      console.error(`Could not decode ${url}:`, error);
+      showNotification(`Could not decode ${url}. Using a synthesized ${name} instead.`, 'error');
+    }
   }
   
   // Create synthetic buffer if file doesn't exist
+  entry.origin = 'synthetic';
   return createSyntheticBuffer(name);
 }
 
-// Create a new track
-function createTrack() {
-  const track = { 
-    events: [], 
-    volume: 0.8, 
-    loop: false,
-    muted: false,
-    solo: false
-  };
-  tracks.push(track);
-  
-  // Initialize play state for this track
-  trackPlayStates.push(false);
-  trackAudioSources.push([]);
-  
-  renderTracks();
-  return tracks.length - 1;
+// Register a buffer that is already decoded, such as a user sample
+function registerSampleBuffer(sampleId, buffer, origin) {
+  sampleRegistry.set(sampleId, { promise: Promise.resolve(buffer), buffer, origin, error: null });
+  updateSampleBadges();
 }
 
-// Delete a track
-function deleteTrack(index) {
-  if (tracks.length > 1) {
-    // Stop the track if it's playing
-    if (trackPlayStates[index]) {
-      stopTrack(index);
-    }
+// The loaded buffer for a sample, or null while it is still loading
+function getSampleBuffer(sampleId) {
+  return sampleRegistry.get(sampleId)?.buffer || null;
+}
+
+// Recordings carry their own audio; everything else plays a shared sample
+function getEventBuffer(event) {
+  return event.sampleId ? getSampleBuffer(event.sampleId) : event.buffer;
+}
+
+// Load every built-in sample up front so the first drop plays immediately
+function preloadSamples() {
+  initAudioContext();
+  const loads = Object.keys(sampleData).map(loadSample);
+  updateSampleBadges();
+  return Promise.all(loads);
+}
+
+// Mark each palette entry as loading, file-backed or synthetic
+function updateSampleBadges() {
+  document.querySelectorAll('.instrument').forEach(el => {
+    const sampleId = el.dataset.name;
+    const entry = sampleRegistry.get(sampleId);
+    const origin = entry ? entry.origin : 'loading';
     
-    tracks.splice(index, 1);
-    trackPlayStates.splice(index, 1);
-    trackAudioSources.splice(index, 1);
+    let badge = el.querySelector('.sample-badge');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'sample-badge';
+      el.appendChild(badge);
+    }
+    badge.dataset.origin = entry?.error ? 'error' : origin;
+    badge.textContent = entry?.error ? '⚠' : SAMPLE_BADGES[origin];
     
-    if (selectedTrackIndex >= tracks.length) {
-      selectedTrackIndex = tracks.length - 1;
+    if (entry?.error) {
+      badge.title = `samples/${sampleId}.wav could not be decoded (${entry.error.message}), so a synthesized sound is used`;
+    } else if (origin === 'file') {
+      badge.title = `Loaded from samples/${sampleId}.wav`;
+    } else if (origin === 'user') {
+      badge.title = `Your sample, from ${userSamples[sampleId]?.fileName}`;
+    } else if (origin === 'synthetic') {
+      badge.title = 'Synthesized sound (no sample file found)';
+    } else {
+      badge.title = 'Loading…';
     }
-    renderTracks();
+  });
+}
+
+// User sample library
+// Audio files dropped onto the palette or a track are decoded, given a
+// category and a color, and kept in IndexedDB for the next session. Events
+// refer to samples by id: built-in ids are the sampleData names, user sample
+// ids start with 'user-'.
+const SAMPLE_CATEGORIES = ['drums', 'bass', 'synths', 'other'];
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg|oga|flac)$/i;
+const USER_SAMPLE_COLORS = ['#55EFC4', '#74B9FF', '#FFEAA7', '#FF7675', '#B8E994', '#F19066', '#CF6A87', '#DFE6E9'];
+const userSamples = {};
+
+// Describe a sample by id: { id, name, category, color, duration, source },
+// or null if there is no such sample
+function getSampleInfo(sampleId) {
+  if (sampleData[sampleId]) {
+    return { id: sampleId, name: sampleId, source: 'builtin', ...sampleData[sampleId] };
   }
+  return userSamples[sampleId] || null;
 }
 
-// Delete a sample event
-function deleteSampleEvent(trackIndex, eventIndex) {
-  tracks[trackIndex].events.splice(eventIndex, 1);
-  renderTracks();
+function isAudioFile(file) {
+  return AUDIO_FILE_PATTERN.test(file.name);
 }
 
-// Calculate total duration of all tracks
-function getTotalDuration() {
-  let maxDuration = 0;
+// Guess a palette category from a file name, e.g. "Kick 01.wav" is a drum
+function guessSampleCategory(fileName) {
+  const name = fileName.toLowerCase();
+  if (/kick|snare|hat|crash|ride|tom|clap|perc|drum|cymbal/.test(name)) return 'drums';
+  if (/bass|808|sub/.test(name)) return 'bass';
+  if (/synth|lead|pad|pluck|arp|chord|keys/.test(name)) return 'synths';
+  return 'other';
+}
+
+// Decode an audio file, add it to the library and store it locally
+async function importAudioFile(file) {
+  if (!isAudioFile(file)) {
+    throw new Error('Only WAV, MP3, OGG and FLAC files can be imported.');
+  }
+  initAudioContext();
   
-  tracks.forEach(track => {
-    track.events.forEach(event => {
-      const eventEnd = event.time + event.duration;
-      if (eventEnd > maxDuration) {
-        maxDuration = eventEnd;
-      }
-    });
+  const sample = await registerUserSample({
+    id: `user-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name.replace(/\.[^.]+$/, ''),
+    category: guessSampleCategory(file.name),
+    color: USER_SAMPLE_COLORS[Object.keys(userSamples).length % USER_SAMPLE_COLORS.length],
+    fileName: file.name,
+    rootNote: DEFAULT_ROOT_NOTE,
+    data: await file.arrayBuffer(),
+    addedAt: Date.now()
   });
-  
-  // Minimum 10 seconds, but extend if tracks are longer
-  return Math.max(10, Math.ceil(maxDuration));
+  await saveUserSample(sample);
+  renderUserSamples();
+  return sample;
 }
 
-// Update playback position indicator
-function updatePlaybackPosition() {
-  if (!isPlaying) return;
+// Import several files, telling the user about any that fail
+async function importAudioFiles(files) {
+  const samples = [];
+  const failures = [];
   
-  const elapsed = audioCtx.currentTime - playbackStartTime;
-  const totalDuration = getTotalDuration();
-  const tempoMultiplier = bpm / 120;
-  const adjustedElapsed = elapsed * tempoMultiplier;
-  
-  const timelineWidth = document.querySelector('.timeline-container').clientWidth;
-  const position = (adjustedElapsed / totalDuration) * timelineWidth;
+  for (const file of files) {
+    try {
+      samples.push(await importAudioFile(file));
+    } catch (error) {
+      console.error(`Error importing ${file.name}:`, error);
+      failures.push(`${file.name}: ${error.message || 'the audio could not be decoded.'}`);
+    }
+  }
   
-  const positionElement = document.querySelector('.playback-position');
-  if (positionElement) {
-    positionElement.style.left = `${Math.min(position, timelineWidth)}px`;
+  if (failures.length > 0) {
+    alert(`Some files could not be imported:\n${failures.join('\n')}`);
+  }
+  return samples;
+}
+
+// Decode a stored sample record and make it available under its id
+async function registerUserSample(record) {
+  // decodeAudioData detaches its input, so decode a copy and keep the file bytes
+  const buffer = await audioCtx.decodeAudioData(record.data.slice(0));
+  const sample = { ...record, source: 'user', duration: buffer.duration };
+  userSamples[sample.id] = sample;
+  registerSampleBuffer(sample.id, buffer, 'user');
+  return sample;
+}
+
+// The part of a user sample that is stored: metadata plus the original file
+function toSampleRecord({ id, name, category, color, fileName, rootNote, data, addedAt }) {
+  return { id, name, category, color, fileName, rootNote, data, addedAt };
+}
+
+function saveUserSample(sample) {
+  return withStore(SAMPLE_STORE, 'readwrite', store => store.put(toSampleRecord(sample)))
+    .catch(error => console.error('Could not store sample:', error));
+}
+
+// Load the stored library at startup
+async function loadUserSamples() {
+  let records;
+  try {
+    records = await withStore(SAMPLE_STORE, 'readonly', store => store.getAll());
+  } catch (error) {
+    console.warn('Could not read the sample library:', error);
+    return;
   }
+  if (records.length === 0) return;
   
-  // Auto-stop when reaching the end
-  if (adjustedElapsed >= totalDuration && !tracks.some(t => t.loop)) {
-    stopAll();
+  initAudioContext();
+  for (const record of records) {
+    try {
+      await registerUserSample(record);
+    } catch (error) {
+      console.error(`Could not decode stored sample ${record.fileName}:`, error);
+      showNotification(`Your sample "${record.name}" (${record.fileName}) could not be decoded and is not available.`, 'error');
+    }
   }
+  renderUserSamples();
 }
 
-// Setup BPM control
-function setupBPMControl() {
-  const bpmSlider = document.getElementById('bpm-slider');
-  const bpmDisplay = document.getElementById('bpm-display');
+// Remove a sample from the library, unless clips still use it
+async function deleteUserSample(sampleId) {
+  // Pattern clips use the sample if their pattern has steps for it
+  const useCount = tracks.reduce((sum, track) =>
+    sum + track.events.filter(event => event.sampleId === sampleId ||
+      (patterns[event.patternId] && getPatternSampleIds(patterns[event.patternId]).includes(sampleId))).length, 0);
+  if (useCount > 0) {
+    alert(`This sample is used by ${useCount} clip${useCount === 1 ? '' : 's'}. Delete ${useCount === 1 ? 'it' : 'them'} first.`);
+    return false;
+  }
   
-  bpmSlider.addEventListener('input', e => {
-    bpm = parseInt(e.target.value);
-    bpmDisplay.textContent = bpm;
-  });
+  delete userSamples[sampleId];
+  sampleRegistry.delete(sampleId);
+  renderUserSamples();
+  await withStore(SAMPLE_STORE, 'readwrite', store => store.delete(sampleId))
+    .catch(error => console.error('Could not delete sample:', error));
+  return true;
 }
 
-// Setup sample event dragging
-function setupSampleDragging(eventEl, trackIndex, eventIndex) {
-  const dragHandle = document.createElement('div');
-  dragHandle.className = 'drag-handle';
-  eventEl.appendChild(dragHandle);
+// Show user samples in the palette, each under its category
+function renderUserSamples() {
+  document.querySelectorAll('.instrument.user-sample').forEach(el => el.remove());
   
-  let isDragging = false;
-  let startX = 0;
-  let startLeft = 0;
+  Object.values(userSamples)
+    .sort((a, b) => a.addedAt - b.addedAt)
+    .forEach(sample => {
+      const container = document.querySelector(`.instrument-category[data-category="${sample.category}"] .instruments`);
+      if (!container) return;
+      
+      const el = document.createElement('div');
+      el.className = 'instrument user-sample';
+      el.draggable = true;
+      el.dataset.name = sample.id;
+      el.dataset.category = sample.category;
+      el.textContent = sample.name;
+      el.title = `${sample.fileName} (${formatDuration(sample.duration)}) - click to edit`;
+      el.style.borderLeftColor = sample.color;
+      bindInstrumentDrag(el);
+      el.addEventListener('click', () => openSampleEditor(sample));
+      container.appendChild(el);
+    });
   
-  // Mouse events
-  eventEl.addEventListener('mousedown', startDrag);
+  updateSampleBadges();
+}
+
+// Edit a user sample's name, category and color, or remove it
+function openSampleEditor(sample) {
+  const modal = openModal('🎧 Edit Sample');
+  modal.body.innerHTML = `
+    <label class="form-row">
+      <span>Name</span>
+      <input type="text" class="sample-name">
+    </label>
+    <label class="form-row">
+      <span>Category</span>
+      <select class="sample-category">
+        ${SAMPLE_CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('')}
+      </select>
+    </label>
+    <label class="form-row">
+      <span>Color</span>
+      <input type="color" class="sample-color">
+    </label>
+    <label class="form-row">
+      <span>Root note (MIDI)</span>
+      <input type="number" class="sample-root" min="0" max="127" step="1">
+    </label>
+    <p class="export-summary"></p>
+    <div class="modal-actions">
+      <button class="sample-delete">🗑️ Remove</button>
+      <button class="sample-save">✔️ Save</button>
+    </div>
+  `;
   
-  // Touch events
-  eventEl.addEventListener('touchstart', startDrag, { passive: false });
+  const nameInput = modal.body.querySelector('.sample-name');
+  const categorySelect = modal.body.querySelector('.sample-category');
+  const colorInput = modal.body.querySelector('.sample-color');
+  const rootInput = modal.body.querySelector('.sample-root');
+  nameInput.value = sample.name;
+  categorySelect.value = sample.category;
+  colorInput.value = sample.color;
+  rootInput.value = sample.rootNote ?? DEFAULT_ROOT_NOTE;
+  const buffer = getSampleBuffer(sample.id);
+  modal.body.querySelector('.export-summary').textContent =
+    `${sample.fileName}, ${formatDuration(sample.duration)}, ` +
+    `${buffer.numberOfChannels === 1 ? 'mono' : 'stereo'}, ${buffer.sampleRate} Hz`;
   
-  function startDrag(e) {
-    // Don't start dragging if clicking on volume slider or delete button
-    if (e.target.classList.contains('sample-volume') || 
-        e.target.classList.contains('delete-sample') ||
-        e.target.type === 'range') {
-      return;
+  modal.body.querySelector('.sample-save').addEventListener('click', async () => {
+    sample.name = nameInput.value.trim() || sample.name;
+    sample.category = categorySelect.value;
+    sample.color = colorInput.value;
+    const rootNote = parseInt(rootInput.value);
+    if (rootNote >= 0 && rootNote <= 127) {
+      sample.rootNote = rootNote;
     }
-    
-    e.preventDefault();
-    e.stopPropagation();
-    
-    isDragging = true;
-    eventEl.classList.add('dragging');
-    
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    startX = clientX;
-    startLeft = parseFloat(eventEl.style.left);
-    
-    document.addEventListener('mousemove', drag);
-    document.addEventListener('mouseup', endDrag);
-    document.addEventListener('touchmove', drag, { passive: false });
-    document.addEventListener('touchend', endDrag);
-    
-    // Highlight valid drop zones
-    document.querySelectorAll('.track').forEach(track => {
-      track.classList.add('drag-over');
-    });
-  }
+    modal.close();
+    renderUserSamples();
+    renderTracks();
+    await saveUserSample(sample);
+  });
   
-  function drag(e) {
-    if (!isDragging) return;
-    e.preventDefault();
-    
-    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
-    const deltaX = clientX - startX;
-    const trackRect = eventEl.parentElement.getBoundingClientRect();
-    const totalDuration = getTotalDuration();
-    const newLeft = startLeft + (deltaX / trackRect.width) * 100;
-    
-    // Constrain to track bounds
-    const constrainedLeft = Math.max(0, Math.min(95, newLeft));
-    eventEl.style.left = `${constrainedLeft}%`;
-    
-    // Check if dragging over a different track
-    const elementBelow = document.elementFromPoint(clientX, e.clientY || e.touches[0].clientY);
-    const targetTrack = elementBelow?.closest('.track');
-    
-    // Highlight target track
-    document.querySelectorAll('.track').forEach(track => {
-      track.classList.remove('drag-over');
-    });
-    if (targetTrack) {
-      targetTrack.classList.add('drag-over');
+  modal.body.querySelector('.sample-delete').addEventListener('click', async () => {
+    if (confirm(`Remove "${sample.name}" from your samples?`) && await deleteUserSample(sample.id)) {
+      modal.close();
     }
+  });
+}
+
+// Undo/redo history
+// Every edit to the arrangement runs through executeCommand() as a
+// { label, do, undo } command. Commands hold on to track and event objects
+// rather than indices, so they stay valid as other edits reorder the arrays.
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let historyGroup = null; // Open group collecting commands into one undo step
+
+// Run a command and record it in the history
+function executeCommand(command) {
+  command.do();
+  recordCommand(command);
+}
+
+// Record a command whose effect has already been applied
+function recordCommand(command) {
+  if (historyGroup) {
+    // Rendering waits until the whole group is done
+    historyGroup.commands.push(command);
+    return;
   }
   
-  function endDrag(e) {
-    if (!isDragging) return;
-    
-    isDragging = false;
-    eventEl.classList.remove('dragging');
-    
-    document.removeEventListener('mousemove', drag);
-    document.removeEventListener('mouseup', endDrag);
-    document.removeEventListener('touchmove', drag);
-    document.removeEventListener('touchend', endDrag);
-    
-    // Remove highlight from all tracks
-    document.querySelectorAll('.track').forEach(track => {
-      track.classList.remove('drag-over');
-    });
-    
-    const clientX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
-    const clientY = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
-    const elementBelow = document.elementFromPoint(clientX, clientY);
-    const targetTrack = elementBelow?.closest('.track');
-    
-    if (targetTrack) {
-      const targetTrackIndex = parseInt(targetTrack.dataset.index);
-      const trackRect = targetTrack.getBoundingClientRect();
-      const relativeX = clientX - trackRect.left;
-      const totalDuration = getTotalDuration();
-      const newTime = (relativeX / trackRect.width) * totalDuration; // Use dynamic duration
-      
-      // Update the event's time and position
-      const event = tracks[trackIndex].events[eventIndex];
-      const newLeft = (newTime / totalDuration) * 100;
-      event.time = Math.max(0, newTime);
-      
-      // If dropping on a different track, move the event
-      if (targetTrackIndex !== trackIndex) {
-        tracks[targetTrackIndex].events.push(event);
-        tracks[trackIndex].events.splice(eventIndex, 1);
-      }
-      
-      renderTracks();
-    } else {
-      // If not dropped on a track, revert position
-      eventEl.style.left = `${startLeft}%`;
-    }
+  undoStack.push(command);
+  if (undoStack.length > HISTORY_LIMIT) {
+    undoStack.shift();
   }
+  redoStack = [];
+  onHistoryChange();
 }
 
-// Render all tracks
-function renderTracks() {
-  const container = document.querySelector('.track-list');
-  container.innerHTML = '';
+function undo() {
+  const command = undoStack.pop();
+  if (!command) return;
   
-  const totalDuration = getTotalDuration();
+  command.undo();
+  redoStack.push(command);
+  onHistoryChange();
+}
+
+function redo() {
+  const command = redoStack.pop();
+  if (!command) return;
+  
+  command.do();
+  undoStack.push(command);
+  onHistoryChange();
+}
+
+// Collect every command until endHistoryGroup() into a single undo step
+function beginHistoryGroup(label) {
+  historyGroup = { label, commands: [] };
+}
+
+function endHistoryGroup() {
+  const group = historyGroup;
+  historyGroup = null;
+  if (!group || group.commands.length === 0) return;
+  
+  recordCommand({
+    label: group.label,
+    do: () => group.commands.forEach(command => command.do()),
+    undo: () => group.commands.slice().reverse().forEach(command => command.undo())
+  });
+}
+
+function clearHistory() {
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+}
+
+function onHistoryChange() {
+  renderTracks();
+  updateLiveMix();
+  if (activeEditor) {
+    activeEditor();
+  }
+  scheduleAutosave();
+  updateHistoryButtons();
+}
+
+// Reflect the history state on the Undo/Redo buttons
+function updateHistoryButtons() {
+  const undoBtn = document.getElementById('undo');
+  const redoBtn = document.getElementById('redo');
+  if (!undoBtn || !redoBtn) return;
+  
+  const nextUndo = undoStack[undoStack.length - 1];
+  const nextRedo = redoStack[redoStack.length - 1];
+  undoBtn.disabled = !nextUndo;
+  redoBtn.disabled = !nextRedo;
+  undoBtn.title = nextUndo ? `Undo ${nextUndo.label} (Ctrl+Z)` : 'Nothing to undo';
+  redoBtn.title = nextRedo ? `Redo ${nextRedo.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+// Record a slider drag as one undo step: the value is applied live while
+// dragging and committed to the history when the gesture ends ('change')
+function bindSliderToHistory(slider, label, getValue, setValue) {
+  let startValue = null;
+  
+  slider.addEventListener('input', e => {
+    if (startValue === null) {
+      startValue = getValue();
+    }
+    setValue(parseFloat(e.target.value));
+    scheduleAutosave();
+  });
+  
+  slider.addEventListener('change', () => {
+    if (startValue === null) return;
+    
+    const from = startValue;
+    const to = getValue();
+    startValue = null;
+    if (from === to) return;
+    
+    recordCommand({
+      label,
+      do: () => setValue(to),
+      undo: () => setValue(from)
+    });
+  });
+}
+
+// Colors new tracks take in turn
+const TRACK_COLORS = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#FFA07A', '#74B9FF'];
+
+// Build an empty track, named and colored on from the tracks in `trackList`
+function newTrack(trackList = tracks) {
+  return { 
+    id: createTrackId(),
+    name: getNextTrackName(trackList),
+    color: TRACK_COLORS[trackList.length % TRACK_COLORS.length],
+    folderId: null, // Folder the track is grouped in, see newFolder()
+    events: [], 
+    volume: 0.8, 
+    loop: false,
+    muted: false,
+    solo: false,
+    synth: {}, // Synth settings per instrument, where they differ from the preset
+    effects: [], // Insert effects, in signal order
+    pan: 0,
+    sends: { reverb: 0, delay: 0 }, // Post-fader send levels to the return buses
+    automation: [] // Lanes of { target, points }, see scheduleAutomation()
+  };
+}
+
+// Per-track play state and the mixer follow a track by id, wherever it moves
+function createTrackId() {
+  return `track-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// "Track N", numbered on from the highest such name so names don't repeat
+function getNextTrackName(trackList) {
+  const numbers = trackList.map(track => Number(/^Track (\d+)$/.exec(track.name)?.[1] || 0));
+  return `Track ${Math.max(0, ...numbers) + 1}`;
+}
+
+// Insert a track at an index
+function insertTrack(track, index) {
+  tracks.splice(index, 0, track);
+}
+
+// Remove the track at an index
+function removeTrack(index) {
+  const track = tracks[index];
+  
+  // Stop the track if it's playing
+  if (trackPlayStates.get(track.id)) {
+    stopTrack(track.id);
+  }
+  
+  tracks.splice(index, 1);
+  trackPlayStates.delete(track.id);
+  trackAudioSources.delete(track.id);
+  
+  if (selectedTrackIndex >= tracks.length) {
+    selectedTrackIndex = tracks.length - 1;
+  }
+}
+
+// Create a new track
+function createTrack() {
+  const track = newTrack();
+  const index = tracks.length;
+  
+  executeCommand({
+    label: 'Add Track',
+    do: () => insertTrack(track, index),
+    undo: () => removeTrack(tracks.indexOf(track))
+  });
+  return tracks.indexOf(track);
+}
+
+// Delete a track
+function deleteTrack(index) {
+  if (tracks.length > 1) {
+    const track = tracks[index];
+    
+    executeCommand({
+      label: 'Delete Track',
+      do: () => removeTrack(tracks.indexOf(track)),
+      undo: () => insertTrack(track, index)
+    });
+  }
+}
+
+// Track order and folders
+// Tracks are moved by dragging the grip in their header. A folder groups a
+// run of neighbouring tracks under a header that can collapse them; its
+// volume and mute apply on top of each of its tracks' own, in playback and
+// export alike. Tracks refer to their folder by `folderId` and a track takes
+// the folder of the track it is dropped on, which keeps every folder's
+// tracks together.
+function newFolder() {
+  const numbers = Object.values(folders).map(folder => Number(/^Folder (\d+)$/.exec(folder.name)?.[1] || 0));
+  return {
+    id: `folder-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: `Folder ${Math.max(0, ...numbers) + 1}`,
+    volume: 1,
+    muted: false,
+    collapsed: false
+  };
+}
+
+function getTrackFolder(track) {
+  return folders[track.folderId] || null;
+}
+
+// Move a track to index `toIndex` of the reordered list and into a folder
+// (or none), keeping the same track selected
+function moveTrack(track, toIndex, folderId, label = 'Move Track') {
+  const fromIndex = tracks.indexOf(track);
+  const fromFolderId = track.folderId;
+  if (fromIndex === toIndex && fromFolderId === folderId) return;
+  
+  const place = (index, id) => {
+    const selected = tracks[selectedTrackIndex];
+    tracks.splice(tracks.indexOf(track), 1);
+    tracks.splice(index, 0, track);
+    track.folderId = id;
+    selectedTrackIndex = tracks.indexOf(selected);
+  };
+  executeCommand({
+    label,
+    do: () => place(toIndex, folderId),
+    undo: () => place(fromIndex, fromFolderId)
+  });
+}
+
+// Put the selected track in a new folder. A track taken out of the middle
+// of another folder goes after that folder's tracks.
+function createFolder() {
+  const track = tracks[selectedTrackIndex] || tracks[0];
+  if (!track) return;
+  const folder = newFolder();
+  const toIndex = track.folderId
+    ? tracks.findLastIndex(other => other.folderId === track.folderId)
+    : tracks.indexOf(track);
+  
+  beginHistoryGroup('Add Folder');
+  try {
+    executeCommand({
+      label: 'Add Folder',
+      do: () => { folders[folder.id] = folder; },
+      undo: () => { delete folders[folder.id]; }
+    });
+    moveTrack(track, toIndex, folder.id);
+  } finally {
+    endHistoryGroup();
+  }
+}
+
+// Remove a folder, leaving its tracks where they are
+function removeFolder(folder) {
+  const members = tracks.filter(track => track.folderId === folder.id);
+  executeCommand({
+    label: 'Remove Folder',
+    do: () => {
+      members.forEach(track => { track.folderId = null; });
+      delete folders[folder.id];
+    },
+    undo: () => {
+      folders[folder.id] = folder;
+      members.forEach(track => { track.folderId = folder.id; });
+    }
+  });
+}
+
+// Drag a track by its grip. Dropped on another track it takes that track's
+// place and folder; dropped on a folder header it goes first in the folder.
+function setupTrackReorder(grip, track) {
+  grip.addEventListener('mousedown', e => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    let target = null;
+    
+    const highlight = element => {
+      document.querySelectorAll('.track-drop-target').forEach(other => other.classList.remove('track-drop-target'));
+      element?.classList.add('track-drop-target');
+    };
+    
+    const move = moveEvent => {
+      target = document.elementFromPoint(moveEvent.clientX, moveEvent.clientY)?.closest('.track, .folder-header') || null;
+      highlight(target);
+    };
+    
+    const release = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', release);
+      highlight(null);
+      if (!target) return;
+      
+      if (target.classList.contains('folder-header')) {
+        const folderId = target.dataset.folder;
+        const first = tracks.filter(other => other !== track).findIndex(other => other.folderId === folderId);
+        moveTrack(track, first === -1 ? tracks.indexOf(track) : first, folderId);
+      } else {
+        const other = tracks[target.dataset.index];
+        moveTrack(track, tracks.indexOf(other), other === track ? track.folderId : other.folderId);
+      }
+    };
+    
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', release);
+  });
+}
+
+// Header row above a folder's tracks
+function renderFolderHeader(folder, trackCount) {
+  const header = document.createElement('div');
+  header.className = 'folder-header';
+  header.dataset.folder = folder.id;
+  header.innerHTML = `
+    <button class="folder-toggle" title="${folder.collapsed ? 'Expand' : 'Collapse'}">${folder.collapsed ? '▸' : '▾'}</button>
+    <span>🗂️</span>
+    <input type="text" class="folder-name" title="Folder Name">
+    <span class="folder-count">${trackCount} track${trackCount === 1 ? '' : 's'}</span>
+    <input type="range" min="0" max="1" step="0.01" class="folder-volume" value="${folder.volume}" title="Folder Volume">
+    <button class="folder-mute ${folder.muted ? 'active' : ''}" title="Mute Folder">🔇</button>
+    <button class="folder-remove" title="Remove Folder (keeps its tracks)">❌</button>
+  `;
+  
+  const nameInput = header.querySelector('.folder-name');
+  nameInput.value = folder.name;
+  nameInput.addEventListener('change', () => {
+    setProperty(folder, 'name', nameInput.value.trim() || folder.name, 'Rename Folder');
+  });
+  
+  header.querySelector('.folder-toggle').addEventListener('click', () => {
+    folder.collapsed = !folder.collapsed;
+    renderTracks();
+    scheduleAutosave();
+  });
+  
+  bindSliderToHistory(header.querySelector('.folder-volume'), 'Folder Volume',
+    () => folder.volume,
+    value => {
+      folder.volume = value;
+      updateLiveMix();
+    });
+  
+  header.querySelector('.folder-mute').addEventListener('click', () => {
+    toggleTrackSetting(folder, 'muted', 'Toggle Folder Mute');
+  });
+  
+  header.querySelector('.folder-remove').addEventListener('click', () => removeFolder(folder));
+  return header;
+}
+
+// Delete a sample event
+function deleteSampleEvent(trackIndex, eventIndex) {
+  const track = tracks[trackIndex];
+  const event = track.events[eventIndex];
+  
+  executeCommand({
+    label: 'Delete Sample',
+    do: () => track.events.splice(track.events.indexOf(event), 1),
+    undo: () => track.events.splice(eventIndex, 0, event)
+  });
+}
+
+// Add a sample event to a track
+function addSampleEvent(track, event) {
+  executeCommand({
+    label: 'Add Sample',
+    do: () => track.events.push(event),
+    undo: () => track.events.splice(track.events.indexOf(event), 1)
+  });
+}
+
+// Load a sample and place it on a track, as dropping one from the palette
+// does. A `duration` (seconds) shorter than the sample trims the event to it.
+async function placeSample(track, sampleId, position, volume = 0.8, duration = Infinity) {
+  if (!getSampleInfo(sampleId)) return;
+  
+  await loadSample(sampleId);
+  placeLoadedSample(track, sampleId, position, volume, duration);
+}
+
+// placeSample() for a sample that is already loaded, so a batch of events
+// can go into one undo step without waiting in between
+function placeLoadedSample(track, sampleId, position, volume = 0.8, duration = Infinity) {
+  const sample = getSampleInfo(sampleId);
+  if (!sample) return;
+  
+  addSampleEvent(track, { 
+    sampleId,
+    position, 
+    name: sample.name, 
+    volume,
+    duration: Math.min(duration, sample.duration),
+    ...CLIP_DEFAULTS
+  });
+}
+
+// Move a sample event to a new position, and optionally to another track
+function moveSampleEvent(fromTrack, event, toTrack, newPosition) {
+  const oldPosition = event.position;
+  const oldIndex = fromTrack.events.indexOf(event);
+  
+  executeCommand({
+    label: 'Move Sample',
+    do: () => {
+      event.position = newPosition;
+      if (toTrack !== fromTrack) {
+        fromTrack.events.splice(fromTrack.events.indexOf(event), 1);
+        toTrack.events.push(event);
+      }
+    },
+    undo: () => {
+      event.position = oldPosition;
+      if (toTrack !== fromTrack) {
+        toTrack.events.splice(toTrack.events.indexOf(event), 1);
+        fromTrack.events.splice(oldIndex, 0, event);
+      }
+    }
+  });
+}
+
+// Flip a boolean track setting (loop, muted, solo)
+function toggleTrackSetting(track, key, label) {
+  executeCommand({
+    label,
+    do: () => { track[key] = !track[key]; },
+    undo: () => { track[key] = !track[key]; }
+  });
+}
+
+// Set one property of a track, event or pattern
+function setProperty(target, key, value, label) {
+  const oldValue = target[key];
+  if (oldValue === value) return;
+  
+  executeCommand({
+    label,
+    do: () => { target[key] = value; },
+    undo: () => { target[key] = oldValue; }
+  });
+}
+
+// Timeline zoom
+// The timeline lays ticks out at `pixelsPerBeat` and scrolls sideways when
+// the song is wider than the view. Ctrl+wheel (which is also how trackpads
+// report pinching) and two finger pinches zoom around the pointer, keeping
+// the tick under it in place.
+const DEFAULT_PIXELS_PER_BEAT = 40;
+const MIN_PIXELS_PER_BEAT = 4;
+const MAX_PIXELS_PER_BEAT = 400;
+const WHEEL_ZOOM_RATE = 0.002; // Zoom per pixel of wheel movement
+const MIN_RULER_LABEL_SPACING = 48; // px between numbered ruler marks
+const MIN_RULER_TICK_SPACING = 12; // px between beat marks
+const PLAYHEAD_FOLLOW_MARGIN = 40; // px kept before the playhead when paging
+
+function ticksToPixels(ticks) {
+  return ticks / TICKS_PER_BEAT * pixelsPerBeat;
+}
+
+function pixelsToTicks(pixels) {
+  return pixels / pixelsPerBeat * TICKS_PER_BEAT;
+}
+
+// Timeline position under a pointer x coordinate over a timeline element
+function clientXToTicks(clientX, element) {
+  const rect = element.getBoundingClientRect();
+  return Math.max(0, pixelsToTicks(clientX - rect.left - element.clientLeft));
+}
+
+// Ticks the timeline lays out: the song and a spare bar to drop clips into,
+// stretched to fill the view when zoomed out
+function getTimelineLayoutTicks() {
+  const view = document.querySelector('.arrangement');
+  const songBars = ticksToBars(getTimelineTicks());
+  return Math.max(barToTicks(songBars + 1), ceilToBar(pixelsToTicks(view ? view.clientWidth : 0)));
+}
+
+// Size the timeline for the current zoom. Track and lane headers stay the
+// width of the view so they don't scroll out of sight.
+function sizeTimeline(totalTicks) {
+  const view = document.querySelector('.arrangement');
+  view.style.setProperty('--timeline-width', `${ticksToPixels(totalTicks)}px`);
+  view.style.setProperty('--view-width', `${view.clientWidth}px`);
+}
+
+// Zoom to a number of pixels per beat, keeping the tick under clientX put
+function setTimelineZoom(value, clientX) {
+  const zoom = Math.max(MIN_PIXELS_PER_BEAT, Math.min(MAX_PIXELS_PER_BEAT, value));
+  if (zoom === pixelsPerBeat) return;
+  
+  const view = document.querySelector('.arrangement');
+  const x = clientX - view.getBoundingClientRect().left;
+  const anchor = pixelsToTicks(view.scrollLeft + x);
+  pixelsPerBeat = zoom;
+  renderTracks();
+  view.scrollLeft = ticksToPixels(anchor) - x;
+}
+
+function setupTimelineZoom() {
+  const view = document.querySelector('.arrangement');
+  view.addEventListener('wheel', e => {
+    if (!e.ctrlKey && !e.metaKey) return;
+    e.preventDefault();
+    setTimelineZoom(pixelsPerBeat * Math.exp(-e.deltaY * WHEEL_ZOOM_RATE), e.clientX);
+  }, { passive: false });
+  
+  // Pinch with two fingers; the zoom follows the spread between them
+  let pinch = null;
+  const spread = touches => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+  view.addEventListener('touchstart', e => {
+    if (e.touches.length === 2) {
+      pinch = { spread: spread(e.touches), zoom: pixelsPerBeat };
+    }
+  });
+  view.addEventListener('touchmove', e => {
+    if (!pinch || e.touches.length !== 2) return;
+    e.preventDefault();
+    const centre = (e.touches[0].clientX + e.touches[1].clientX) / 2;
+    setTimelineZoom(pinch.zoom * spread(e.touches) / pinch.spread, centre);
+  }, { passive: false });
+  view.addEventListener('touchend', e => {
+    if (e.touches.length < 2) pinch = null;
+  });
+}
+
+// Page the view along when the playhead runs off either side of it
+function followPlayhead(ticks) {
+  const view = document.querySelector('.arrangement');
+  const x = ticksToPixels(ticks);
+  if (x < view.scrollLeft || x > view.scrollLeft + view.clientWidth) {
+    view.scrollLeft = x - PLAYHEAD_FOLLOW_MARGIN;
+  }
+}
+
+// Calculate the timeline length in ticks, rounded up to whole bars
+function getTimelineTicks() {
+  let maxTicks = 0;
+  
+  tracks.forEach(track => {
+    track.events.forEach(event => {
+      const eventEnd = positionToTicks(event.position) + eventLengthTicks(event);
+      if (eventEnd > maxTicks) {
+        maxTicks = eventEnd;
+      }
+    });
+  });
+  
+  // Minimum number of bars, but extend if tracks are longer
+  return Math.max(barToTicks(MIN_TIMELINE_BARS), ceilToBar(maxTicks));
+}
+
+// Calculate total duration of all tracks in seconds at the current tempo
+function getTotalDuration() {
+  return ticksToSeconds(getTimelineTicks());
+}
+
+// Playhead position in ticks: the playing position, or where it rests
+function getPlayheadTicks() {
+  if (isPlaying && transport) {
+    return secondsToTicks(getTransportSeconds(transport, audioCtx.currentTime));
+  }
+  return playheadTicks;
+}
+
+// Draw the playhead where it rests while stopped
+function showRestingPlayhead() {
+  const positionElement = document.querySelector('.playback-position');
+  if (positionElement) {
+    positionElement.style.left = `${ticksToPixels(playheadTicks)}px`;
+  }
+}
+
+// Clicking the ruler moves the resting playhead; dragging across it draws a
+// new loop region and turns looping on
+function setupPlayheadControl() {
+  const ruler = document.querySelector('.timeline-ruler');
+  ruler.addEventListener('mousedown', e => {
+    if (e.button !== 0) return;
+    const anchor = rulerTicks(e.clientX);
+    const before = { ...loopRegion };
+    let dragged = false;
+    
+    const move = moveEvent => {
+      if (!dragged && Math.abs(moveEvent.clientX - e.clientX) < DRAG_THRESHOLD) return;
+      dragged = true;
+      const ticks = rulerTicks(moveEvent.clientX);
+      Object.assign(loopRegion, {
+        enabled: true,
+        startTicks: Math.min(anchor, ticks),
+        endTicks: Math.max(anchor, ticks)
+      });
+      renderLoopRegion();
+    };
+    
+    const release = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', release);
+      if (dragged) {
+        commitLoopRegion(before, 'Set Loop Region');
+        return;
+      }
+      playheadTicks = anchor;
+      if (!isPlaying) {
+        showRestingPlayhead();
+      }
+    };
+    
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', release);
+  });
+}
+
+// Snapped timeline position under a pointer x coordinate on the ruler
+function rulerTicks(clientX) {
+  return snapTicks(clientXToTicks(clientX, document.querySelector('.timeline-ruler')));
+}
+
+// Update playback position indicator, keeping it in view
+function updatePlaybackPosition() {
+  if (!isPlaying) return;
+  
+  const ticks = getPlayheadTicks();
+  const positionElement = document.querySelector('.playback-position');
+  if (positionElement) {
+    positionElement.style.left = `${ticksToPixels(ticks)}px`;
+    followPlayhead(ticks);
+  }
+  updateRecordingRegion();
+}
+
+// Loop region
+// A stretch of the ruler, in ticks, that Play All repeats while it is on.
+// It belongs to the arrangement: it is saved with the project and edits to
+// it can be undone. Drag across the ruler to draw one, drag the region to
+// move it or its edges to resize it, and toggle it with the Loop button or L.
+const MIN_LOOP_TICKS = TICKS_PER_BEAT;
+
+function newLoopRegion() {
+  return { enabled: false, startTicks: 0, endTicks: barToTicks(MIN_TIMELINE_BARS) };
+}
+
+// The loop region in song seconds, or null while looping is off
+function getLoopRange() {
+  if (!loopRegion.enabled) return null;
+  return {
+    start: ticksToSeconds(loopRegion.startTicks),
+    end: ticksToSeconds(loopRegion.endTicks)
+  };
+}
+
+// Record a change made to the loop region by dragging; regions shorter than
+// a beat are dropped and the old one is put back
+function commitLoopRegion(before, label) {
+  if (loopRegion.endTicks - loopRegion.startTicks < MIN_LOOP_TICKS) {
+    Object.assign(loopRegion, before);
+    renderLoopRegion();
+    return;
+  }
+  
+  const after = { ...loopRegion };
+  if (Object.keys(after).every(key => after[key] === before[key])) return;
+  recordCommand({
+    label,
+    do: () => Object.assign(loopRegion, after),
+    undo: () => Object.assign(loopRegion, before)
+  });
+}
+
+function toggleLoopRegion() {
+  setProperty(loopRegion, 'enabled', !loopRegion.enabled, 'Toggle Loop Region');
+}
+
+// Place the loop region over the ruler and light up the Loop button
+function renderLoopRegion() {
+  const region = document.querySelector('.loop-region');
+  if (!region) return;
+  
+  region.style.left = `${ticksToPixels(loopRegion.startTicks)}px`;
+  region.style.width = `${ticksToPixels(loopRegion.endTicks - loopRegion.startTicks)}px`;
+  region.classList.toggle('enabled', loopRegion.enabled);
+  region.title = `Loop ${formatPosition(ticksToPosition(loopRegion.startTicks))} - ${formatPosition(ticksToPosition(loopRegion.endTicks))}`;
+  document.getElementById('loop-region-toggle').classList.toggle('active', loopRegion.enabled);
+}
+
+// Drag the loop region or one of its edges along the ruler
+function setupLoopRegionControl() {
+  const region = document.querySelector('.loop-region');
+  region.addEventListener('mousedown', e => {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const edge = e.target.classList.contains('loop-start') ? 'start'
+      : e.target.classList.contains('loop-end') ? 'end'
+      : null;
+    const before = { ...loopRegion };
+    const anchor = rulerTicks(e.clientX);
+    
+    const move = moveEvent => {
+      const ticks = rulerTicks(moveEvent.clientX);
+      if (edge === 'start') {
+        loopRegion.startTicks = Math.min(ticks, before.endTicks - MIN_LOOP_TICKS);
+      } else if (edge === 'end') {
+        loopRegion.endTicks = Math.max(ticks, before.startTicks + MIN_LOOP_TICKS);
+      } else {
+        const delta = Math.max(-before.startTicks, ticks - anchor);
+        loopRegion.startTicks = before.startTicks + delta;
+        loopRegion.endTicks = before.endTicks + delta;
+      }
+      renderLoopRegion();
+    };
+    
+    const release = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', release);
+      commitLoopRegion(before, edge ? 'Resize Loop Region' : 'Move Loop Region');
+    };
+    
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', release);
+  });
+  
+  document.getElementById('loop-region-toggle').addEventListener('click', toggleLoopRegion);
+}
+
+// Setup BPM control
+function setupBPMControl() {
+  const bpmSlider = document.getElementById('bpm-slider');
+  const bpmDisplay = document.getElementById('bpm-display');
+  
+  bpmSlider.addEventListener('input', e => {
+    bpm = parseInt(e.target.value);
+    clearTempoCache();
+    bpmDisplay.textContent = bpm;
+    // Sample lengths are fixed in seconds, so their size in beats follows the tempo
+    renderTracks();
+    scheduleAutosave();
+  });
+}
+
+// Set BPM and keep the slider and display in sync
+function setBPM(value) {
+  bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(value)));
+  clearTempoCache();
+  document.getElementById('bpm-slider').value = bpm;
+  document.getElementById('bpm-display').textContent = bpm;
+  renderTracks();
+  scheduleAutosave();
+}
+
+// Tempo track
+// The strip under the ruler marks every tempo change (↗ when it ramps) and
+// time signature change on its bar. Click the strip to edit the changes on
+// the nearest bar line; edits to the tempo map can be undone.
+const MAX_METER_NUMERATOR = 32;
+
+// Replace the tempo map as one undo step. Events keep their bar and beat
+// when the time signature changes, and so do the automation points and
+// the loop region, which are stored in ticks. A beat or tick the new meter
+// no longer has is clamped into its bar rather than spilling into the next.
+function updateTempoMap(next, label) {
+  const before = tempoMap;
+  const anchors = getTickAnchors();
+  const beforeTicks = anchors.map(({ target, key }) => target[key]);
+  const events = tracks.flatMap(track => track.events);
+  const beforePositions = events.map(event => event.position);
+  const meterChanged = JSON.stringify(next.meters) !== JSON.stringify(before.meters);
+  
+  executeCommand({
+    label,
+    do: () => {
+      const positions = beforeTicks.map(ticksToPosition);
+      tempoMap = next;
+      clearTempoCache();
+      if (meterChanged) {
+        anchors.forEach(({ target, key }, index) => {
+          target[key] = positionToTicks(fitPositionToMeter(positions[index]));
+        });
+        events.forEach((event, index) => {
+          event.position = fitPositionToMeter(beforePositions[index]);
+        });
+      }
+    },
+    undo: () => {
+      tempoMap = before;
+      clearTempoCache();
+      anchors.forEach(({ target, key }, index) => {
+        target[key] = beforeTicks[index];
+      });
+      events.forEach((event, index) => {
+        event.position = beforePositions[index];
+      });
+    }
+  });
+}
+
+// Clamp a position's beat and tick into its bar under the current meter
+function fitPositionToMeter(position) {
+  const meter = getMeterAt(position.bar);
+  const beatTicks = getMeterBeatTicks(meter);
+  if (position.beat < meter.numerator && position.tick < beatTicks) return position;
+  return {
+    bar: position.bar,
+    beat: Math.min(position.beat, meter.numerator - 1),
+    tick: Math.min(position.tick, beatTicks - 1)
+  };
+}
+
+// Tick values that belong on a bar and beat
+function getTickAnchors() {
+  const anchors = [
+    { target: loopRegion, key: 'startTicks' },
+    { target: loopRegion, key: 'endTicks' }
+  ];
+  tracks.forEach(track => {
+    track.automation.forEach(lane => {
+      lane.points.forEach(point => anchors.push({ target: point, key: 'ticks' }));
+    });
+  });
+  return anchors;
+}
+
+// Set the tempo and time signature changes on a bar; null removes them
+function setBarChanges(bar, { tempo, meter }) {
+  const byBar = (a, b) => a.bar - b.bar;
+  const tempos = tempoMap.tempos.filter(change => change.bar !== bar);
+  const meters = tempoMap.meters.filter(change => change.bar !== bar);
+  if (tempo) tempos.push({ bar, ...tempo });
+  if (meter) meters.push({ bar, ...meter });
+  if (JSON.stringify({ tempos, meters }) === JSON.stringify(tempoMap)) return;
+  updateTempoMap({ tempos: tempos.sort(byBar), meters: meters.sort(byBar) }, `Bar ${bar + 1} Tempo Map`);
+}
+
+// Draw the tempo and time signature markers
+function renderTempoTrack() {
+  const strip = document.querySelector('.tempo-track');
+  if (!strip) return;
+  
+  strip.innerHTML = '';
+  const bars = new Set([...tempoMap.meters, ...tempoMap.tempos].map(change => change.bar));
+  [...bars].sort((a, b) => a - b).forEach(bar => {
+    const meter = tempoMap.meters.find(change => change.bar === bar);
+    const tempo = tempoMap.tempos.find(change => change.bar === bar);
+    const marker = document.createElement('span');
+    marker.className = 'tempo-mark';
+    marker.style.left = `${ticksToPixels(barToTicks(bar))}px`;
+    marker.textContent = [
+      meter ? `${meter.numerator}/${meter.denominator}` : '',
+      tempo ? `${tempo.ramp ? '↗' : ''}♩=${tempo.bpm}` : ''
+    ].filter(Boolean).join(' ');
+    strip.appendChild(marker);
+  });
+}
+
+function setupTempoTrack() {
+  const strip = document.querySelector('.tempo-track');
+  strip.addEventListener('click', e => {
+    const ticks = clientXToTicks(e.clientX, strip);
+    
+    // Nearest bar line
+    const { bar } = ticksToPosition(ticks);
+    const nextBar = barToTicks(bar + 1);
+    openTempoChangeEditor(nextBar - ticks < ticks - barToTicks(bar) ? bar + 1 : bar);
+  });
+}
+
+// Edit the tempo and time signature changes on one bar. The song's first
+// tempo is the BPM control, so bar 1 only takes a time signature.
+function openTempoChangeEditor(bar) {
+  const tempo = tempoMap.tempos.find(change => change.bar === bar);
+  const meter = tempoMap.meters.find(change => change.bar === bar);
+  const currentMeter = getMeterAt(bar);
+  const modal = openModal(`⏱️ Bar ${bar + 1}`);
+  modal.body.innerHTML = `
+    <div class="export-form">
+      <label class="form-row">
+        <span>Tempo change</span>
+        <input type="checkbox" class="tempo-enabled" ${tempo ? 'checked' : ''}${bar === 0 ? ' disabled' : ''}>
+      </label>
+      <label class="form-row">
+        <span>BPM</span>
+        <input type="number" class="tempo-bpm" min="${MIN_BPM}" max="${MAX_BPM}" step="1" value="${tempo ? tempo.bpm : Math.round(getTempoAt(barToTicks(bar)))}">
+      </label>
+      <label class="form-row">
+        <span>Ramp from the tempo before</span>
+        <input type="checkbox" class="tempo-ramp" ${tempo?.ramp ? 'checked' : ''}>
+      </label>
+      <label class="form-row">
+        <span>Time signature change</span>
+        <input type="checkbox" class="meter-enabled" ${meter ? 'checked' : ''}>
+      </label>
+      <label class="form-row">
+        <span>Beats</span>
+        <input type="number" class="meter-numerator" min="1" max="${MAX_METER_NUMERATOR}" step="1" value="${currentMeter.numerator}">
+      </label>
+      <label class="form-row">
+        <span>Beat note</span>
+        <select class="meter-denominator">
+          ${METER_DENOMINATORS.map(value => `<option value="${value}"${value === currentMeter.denominator ? ' selected' : ''}>1/${value}</option>`).join('')}
+        </select>
+      </label>
+      <p class="export-summary">${bar === 0 ? 'The song starts at the tempo set with the BPM control.' : ''}</p>
+      <div class="modal-actions">
+        <button class="tempo-apply">✔️ Apply</button>
+      </div>
+    </div>
+  `;
+  
+  const field = selector => modal.body.querySelector(selector);
+  field('.tempo-apply').addEventListener('click', () => {
+    const bpmValue = Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(parseFloat(field('.tempo-bpm').value)) || bpm));
+    const numerator = Math.max(1, Math.min(MAX_METER_NUMERATOR, Math.round(parseFloat(field('.meter-numerator').value)) || BEATS_PER_BAR));
+    setBarChanges(bar, {
+      tempo: field('.tempo-enabled').checked ? { bpm: bpmValue, ramp: field('.tempo-ramp').checked } : null,
+      meter: field('.meter-enabled').checked ? { numerator, denominator: parseInt(field('.meter-denominator').value) } : null
+    });
+    modal.close();
+  });
+}
+
+// Setup snap grid selector
+function setupGridControl() {
+  const gridSelect = document.getElementById('grid-select');
+  gridSelect.value = gridDivision;
+  
+  gridSelect.addEventListener('change', e => {
+    gridDivision = e.target.value;
+  });
+}
+
+// Setup sample event dragging
+function setupSampleDragging(eventEl, trackIndex, eventIndex) {
+  const dragHandle = document.createElement('div');
+  dragHandle.className = 'drag-handle';
+  eventEl.appendChild(dragHandle);
+  
+  let isDragging = false;
+  let startX = 0;
+  let startLeft = 0;
+  let startTicks = 0;
+  let group = []; // The selection moving along: { event, element, ticks }
+  
+  // Mouse events
+  eventEl.addEventListener('mousedown', startDrag);
+  
+  // Touch events
+  eventEl.addEventListener('touchstart', startDrag, { passive: false });
+  
+  function startDrag(e) {
+    // Don't start dragging if clicking on volume slider or delete button
+    if (e.target.classList.contains('sample-volume') || 
+        e.target.classList.contains('delete-sample') ||
+        e.target.classList.contains('edit-clip') ||
+        e.target.closest('.trim-handle, .fade-handle') ||
+        e.target.type === 'range') {
+      return;
+    }
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    // Shift/Ctrl-click adds to or removes from the selection; a plain click
+    // on an unselected event selects just that one
+    const event = tracks[trackIndex].events[eventIndex];
+    if (e.shiftKey || e.ctrlKey || e.metaKey) {
+      toggleEventSelection(event);
+      renderTracks();
+      return;
+    }
+    if (!selectedEvents.has(event)) {
+      selectedEvents = new Set([event]);
+      document.querySelectorAll('.sample-event.selected').forEach(el => el.classList.remove('selected'));
+      eventEl.classList.add('selected');
+    }
+    
+    isDragging = true;
+    eventEl.classList.add('dragging');
+    
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    startX = clientX;
+    startLeft = parseFloat(eventEl.style.left);
+    startTicks = positionToTicks(event.position);
+    group = [...document.querySelectorAll('.sample-event.selected')]
+      .filter(element => element !== eventEl)
+      .map(element => {
+        const member = eventByElement.get(element);
+        return { event: member, element, ticks: positionToTicks(member.position) };
+      });
+    
+    document.addEventListener('mousemove', drag);
+    document.addEventListener('mouseup', endDrag);
+    document.addEventListener('touchmove', drag, { passive: false });
+    document.addEventListener('touchend', endDrag);
+    
+    // Highlight valid drop zones
+    document.querySelectorAll('.track').forEach(track => {
+      track.classList.add('drag-over');
+    });
+  }
+  
+  function drag(e) {
+    if (!isDragging) return;
+    e.preventDefault();
+    
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    const newTicks = dragTargetTicks(clientX);
+    eventEl.style.left = `${ticksToPixels(newTicks)}px`;
+    group.forEach(({ element, ticks }) => {
+      element.style.left = `${ticksToPixels(ticks + newTicks - startTicks)}px`;
+    });
+    
+    // Check if dragging over a different track
+    const elementBelow = document.elementFromPoint(clientX, e.clientY || e.touches[0].clientY);
+    const targetTrack = elementBelow?.closest('.track');
+    
+    // Highlight target track
+    document.querySelectorAll('.track').forEach(track => {
+      track.classList.remove('drag-over');
+    });
+    if (targetTrack) {
+      targetTrack.classList.add('drag-over');
+    }
+  }
+  
+  function endDrag(e) {
+    if (!isDragging) return;
+    
+    isDragging = false;
+    eventEl.classList.remove('dragging');
+    
+    document.removeEventListener('mousemove', drag);
+    document.removeEventListener('mouseup', endDrag);
+    document.removeEventListener('touchmove', drag);
+    document.removeEventListener('touchend', endDrag);
+    
+    // Remove highlight from all tracks
+    document.querySelectorAll('.track').forEach(track => {
+      track.classList.remove('drag-over');
+    });
+    
+    const clientX = e.changedTouches ? e.changedTouches[0].clientX : e.clientX;
+    const clientY = e.changedTouches ? e.changedTouches[0].clientY : e.clientY;
+    const elementBelow = document.elementFromPoint(clientX, clientY);
+    const targetTrack = elementBelow?.closest('.track');
+    
+    if (targetTrack) {
+      const targetTrackIndex = parseInt(targetTrack.dataset.index);
+      const newTicks = dragTargetTicks(clientX);
+      
+      // Nothing to record if the event was clicked without moving
+      if (newTicks === startTicks && targetTrackIndex === trackIndex) {
+        revert();
+        return;
+      }
+      
+      // Update the event's position, moving it if dropped on a different track
+      const event = tracks[trackIndex].events[eventIndex];
+      if (group.length === 0) {
+        moveSampleEvent(tracks[trackIndex], event, tracks[targetTrackIndex], ticksToPosition(newTicks));
+      } else if (!moveEvents(getSelectedEvents(), newTicks - startTicks, targetTrackIndex - trackIndex, 'Move Clips')) {
+        revert();
+      }
+    } else {
+      // If not dropped on a track, revert position
+      revert();
+    }
+  }
+  
+  function revert() {
+    eventEl.style.left = `${startLeft}px`;
+    group.forEach(({ element, ticks }) => {
+      element.style.left = `${ticksToPixels(ticks)}px`;
+    });
+  }
+  
+  // Snapped tick position for the current pointer offset from the drag start.
+  // A group stops where its earliest event reaches the start of the song.
+  function dragTargetTicks(clientX) {
+    const deltaTicks = pixelsToTicks(clientX - startX);
+    const lowest = Math.min(startTicks, ...group.map(({ ticks }) => ticks));
+    return Math.max(startTicks - lowest, snapTicks(startTicks + deltaTicks));
+  }
+}
+
+// Event selection and clipboard
+// Selected events are kept by object, like history commands, so they stay
+// selected while other edits reorder the tracks. Copies keep their track and
+// tick offsets from the first copied event and are pasted at the playhead,
+// starting on the selected track.
+const eventByElement = new WeakMap(); // Timeline block -> event, for rubber band selection
+const DRAG_THRESHOLD = 4; // px the pointer moves before a click becomes a drag
+
+// Selected events that are still on a track, in track order
+function getSelectedEvents() {
+  const selection = [];
+  tracks.forEach(track => track.events.forEach(event => {
+    if (selectedEvents.has(event)) {
+      selection.push({ track, event });
+    }
+  }));
+  return selection;
+}
+
+function toggleEventSelection(event) {
+  if (selectedEvents.has(event)) {
+    selectedEvents.delete(event);
+  } else {
+    selectedEvents.add(event);
+  }
+}
+
+// Select the events whose blocks a dragged rectangle touches. Shift keeps
+// the current selection; a click without dragging clears it.
+function startRubberBand(e) {
+  const startX = e.clientX;
+  const startY = e.clientY;
+  const keep = e.shiftKey || e.ctrlKey || e.metaKey;
+  let band = null;
+  
+  const bounds = moveEvent => ({
+    left: Math.min(startX, moveEvent.clientX),
+    top: Math.min(startY, moveEvent.clientY),
+    right: Math.max(startX, moveEvent.clientX),
+    bottom: Math.max(startY, moveEvent.clientY)
+  });
+  
+  const move = moveEvent => {
+    if (!band) {
+      if (Math.hypot(moveEvent.clientX - startX, moveEvent.clientY - startY) < DRAG_THRESHOLD) return;
+      band = document.createElement('div');
+      band.className = 'rubber-band';
+      document.body.appendChild(band);
+    }
+    const { left, top, right, bottom } = bounds(moveEvent);
+    Object.assign(band.style, {
+      left: `${left}px`,
+      top: `${top}px`,
+      width: `${right - left}px`,
+      height: `${bottom - top}px`
+    });
+  };
+  
+  const release = upEvent => {
+    document.removeEventListener('mousemove', move);
+    document.removeEventListener('mouseup', release);
+    if (!keep) {
+      selectedEvents.clear();
+    }
+    
+    if (band) {
+      band.remove();
+      const area = bounds(upEvent);
+      document.querySelectorAll('.sample-event').forEach(element => {
+        const rect = element.getBoundingClientRect();
+        if (rect.left < area.right && rect.right > area.left && rect.top < area.bottom && rect.bottom > area.top) {
+          selectedEvents.add(eventByElement.get(element));
+        }
+      });
+    }
+    renderTracks();
+  };
+  
+  document.addEventListener('mousemove', move);
+  document.addEventListener('mouseup', release);
+}
+
+// Move events by a number of ticks and tracks as one undo step. Returns
+// false if that would put any of them before the start or off the tracks.
+function moveEvents(selection, deltaTicks, deltaTracks, label) {
+  const fits = selection.every(({ track, event }) => {
+    const trackIndex = tracks.indexOf(track) + deltaTracks;
+    return positionToTicks(event.position) + deltaTicks >= 0 && trackIndex >= 0 && trackIndex < tracks.length;
+  });
+  if (!fits || (deltaTicks === 0 && deltaTracks === 0)) return false;
+  
+  beginHistoryGroup(label);
+  try {
+    selection.forEach(({ track, event }) => {
+      const newPosition = ticksToPosition(positionToTicks(event.position) + deltaTicks);
+      moveSampleEvent(track, event, tracks[tracks.indexOf(track) + deltaTracks], newPosition);
+    });
+  } finally {
+    endHistoryGroup();
+  }
+  return true;
+}
+
+// Signed grid step for nudging a selection, a 16th when the grid is off. By
+// bar it is the bar the selection starts in, or the one before going back.
+function getNudgeTicks(selection, byBar, direction) {
+  if (!byBar) return direction * (GRID_DIVISIONS[gridDivision] || TICKS_PER_BEAT / 4);
+  const startTicks = Math.min(...selection.map(({ event }) => positionToTicks(event.position)));
+  const bar = ticksToPosition(startTicks).bar + (direction < 0 ? -1 : 0);
+  return direction * getMeterBarTicks(getMeterAt(Math.max(0, bar)));
+}
+
+function removeEvents(selection, label) {
+  if (selection.length === 0) return;
+  beginHistoryGroup(label);
+  try {
+    selection.forEach(({ track, event }) => {
+      deleteSampleEvent(tracks.indexOf(track), track.events.indexOf(event));
+    });
+  } finally {
+    endHistoryGroup();
+  }
+}
+
+// An independent copy of an event. Clips keep sharing their pattern, sample
+// or recorded audio; notes are copied.
+function cloneEvent(event) {
+  const copy = { ...event, position: { ...event.position } };
+  if (event.notes) {
+    copy.notes = event.notes.map(note => ({ ...note }));
+  }
+  return copy;
+}
+
+// Copies of events with their offsets from the first track and tick
+function toClipboardItems(selection) {
+  const firstTrack = Math.min(...selection.map(({ track }) => tracks.indexOf(track)));
+  const firstTicks = Math.min(...selection.map(({ event }) => positionToTicks(event.position)));
+  return selection.map(({ track, event }) => ({
+    trackOffset: tracks.indexOf(track) - firstTrack,
+    ticks: positionToTicks(event.position) - firstTicks,
+    event: cloneEvent(event)
+  }));
+}
+
+// Add copies of clipboard items from a track and tick, as one undo step, and
+// select them. Items that would land below the last track go on the last one.
+function placeClipboardItems(items, trackIndex, ticks, label) {
+  const placed = items.map(item => ({
+    track: tracks[Math.min(tracks.length - 1, trackIndex + item.trackOffset)],
+    event: { ...cloneEvent(item.event), position: ticksToPosition(ticks + item.ticks) }
+  }));
+  
+  executeCommand({
+    label,
+    do: () => placed.forEach(({ track, event }) => track.events.push(event)),
+    undo: () => placed.forEach(({ track, event }) => track.events.splice(track.events.indexOf(event), 1))
+  });
+  selectedEvents = new Set(placed.map(({ event }) => event));
+  renderTracks();
+}
+
+function copySelection() {
+  const selection = getSelectedEvents();
+  if (selection.length > 0) {
+    clipboard = toClipboardItems(selection);
+  }
+}
+
+function cutSelection() {
+  copySelection();
+  removeEvents(getSelectedEvents(), 'Cut Clips');
+  selectedEvents.clear();
+}
+
+function pasteAtPlayhead() {
+  if (!clipboard) return;
+  placeClipboardItems(clipboard, Math.max(0, selectedTrackIndex), snapTicks(getPlayheadTicks()), 'Paste Clips');
+}
+
+// Copy the selection to the first bar line after its end, keeping its
+// offset from its own first bar line
+function duplicateSelection() {
+  const selection = getSelectedEvents();
+  if (selection.length === 0) return;
+  
+  const startTicks = Math.min(...selection.map(({ event }) => positionToTicks(event.position)));
+  const endTicks = Math.max(...selection.map(({ event }) => positionToTicks(event.position) + eventLengthTicks(event)));
+  const delta = ceilToBar(endTicks) - barToTicks(ticksToPosition(startTicks).bar);
+  const firstTrack = Math.min(...selection.map(({ track }) => tracks.indexOf(track)));
+  placeClipboardItems(toClipboardItems(selection), firstTrack, startTicks + delta, 'Duplicate Clips');
+}
+
+// Label and color of an event block on the timeline
+function describeEvent(event) {
+  if (event.type === 'pattern') {
+    const pattern = patterns[event.patternId];
+    const repeats = event.repeats > 1 ? ` ×${event.repeats}` : '';
+    return { label: `🥁 ${pattern ? pattern.name : event.name}${repeats}`, color: PATTERN_CLIP_COLOR };
+  }
+  
+  const sample = getSampleInfo(event.sampleId);
+  if (event.type === 'notes') {
+    return {
+      label: `🎹 ${sample ? sample.name : event.name}`,
+      color: sample?.color || 'rgba(255,255,255,0.3)'
+    };
+  }
+
+  const takes = event.takes?.length > 1 ? ` (${event.takes.length} takes)` : '';
+  return {
+    label: (sample ? sample.name : event.name) + takes,
+    color: sample?.color || 'rgba(255,255,255,0.3)'
+  };
+}
+
+// Waveform overviews
+// Sample clips draw a min/max overview of their audio in their block. The
+// peaks of a buffer are worked out once, at several zoom levels: the finest
+// has a peak per WAVEFORM_BLOCK samples and each next one is
+// WAVEFORM_LEVEL_FACTOR times coarser. Drawing reads the coarsest level that
+// still has at least one peak per pixel.
+const WAVEFORM_BLOCK = 32;
+const WAVEFORM_LEVEL_FACTOR = 4;
+const WAVEFORM_COLOR = 'rgba(0,0,0,0.35)';
+const waveformLevels = new WeakMap();
+
+// Zoom levels of a buffer's peaks, [{ blockSize, min, max }] from finest
+function getWaveformLevels(buffer) {
+  if (waveformLevels.has(buffer)) return waveformLevels.get(buffer);
+  
+  const channels = [];
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    channels.push(buffer.getChannelData(channel));
+  }
+  
+  // The finest level is read from the samples, the others from the level before
+  const levels = [];
+  let blockSize = WAVEFORM_BLOCK;
+  let source = null;
+  do {
+    const count = Math.ceil(buffer.length / blockSize);
+    const min = new Float32Array(count);
+    const max = new Float32Array(count);
+    for (let block = 0; block < count; block++) {
+      let low = 0;
+      let high = 0;
+      if (source) {
+        const end = Math.min(source.min.length, (block + 1) * WAVEFORM_LEVEL_FACTOR);
+        for (let i = block * WAVEFORM_LEVEL_FACTOR; i < end; i++) {
+          low = Math.min(low, source.min[i]);
+          high = Math.max(high, source.max[i]);
+        }
+      } else {
+        const end = Math.min(buffer.length, (block + 1) * blockSize);
+        channels.forEach(data => {
+          for (let i = block * blockSize; i < end; i++) {
+            if (data[i] < low) low = data[i];
+            if (data[i] > high) high = data[i];
+          }
+        });
+      }
+      min[block] = low;
+      max[block] = high;
+    }
+    source = { blockSize, min, max };
+    levels.push(source);
+    blockSize *= WAVEFORM_LEVEL_FACTOR;
+  } while (source.min.length > 1);
+  
+  waveformLevels.set(buffer, levels);
+  return levels;
+}
+
+// Draw the part of a clip's audio it plays into its block, mirrored when the
+// clip is reversed and scaled by its volume and gain
+function drawEventWaveform(eventEl, event) {
+  const canvas = eventEl.querySelector('.sample-waveform');
+  const buffer = getEventBuffer(event);
+  if (!canvas || !buffer || eventEl.clientWidth === 0) return;
+  
+  const width = Math.round(eventEl.clientWidth * window.devicePixelRatio);
+  const height = Math.round(eventEl.clientHeight * window.devicePixelRatio);
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  if (!context) return;
+  
+  const offset = event.offset || 0;
+  const startSample = (event.reverse ? buffer.duration - offset - event.duration : offset) * buffer.sampleRate;
+  const samplesPerPixel = event.duration * buffer.sampleRate / width;
+  const levels = getWaveformLevels(buffer);
+  const level = levels.findLast(candidate => candidate.blockSize <= samplesPerPixel) || levels[0];
+  const gain = event.volume * dbToGain(event.gainDb || 0);
+  const middle = height / 2;
+  
+  context.fillStyle = WAVEFORM_COLOR;
+  for (let x = 0; x < width; x++) {
+    const from = Math.max(0, Math.floor((startSample + x * samplesPerPixel) / level.blockSize));
+    const to = Math.min(level.min.length, Math.max(from + 1, Math.ceil((startSample + (x + 1) * samplesPerPixel) / level.blockSize)));
+    let low = 0;
+    let high = 0;
+    for (let block = from; block < to; block++) {
+      low = Math.min(low, level.min[block]);
+      high = Math.max(high, level.max[block]);
+    }
+    const top = middle - Math.min(1, high * gain) * middle;
+    const bottom = middle - Math.max(-1, low * gain) * middle;
+    context.fillRect(event.reverse ? width - 1 - x : x, top, 1, Math.max(1, bottom - top));
+  }
+}
+
+// Redraw the waveform in every clip block, after rendering or resizing
+function drawWaveforms() {
+  document.querySelectorAll('.sample-waveform').forEach(canvas => {
+    const eventEl = canvas.parentElement;
+    drawEventWaveform(eventEl, eventByElement.get(eventEl));
+  });
+}
+
+// Render all tracks
+function renderTracks() {
+  const container = document.querySelector('.track-list');
+  const totalTicks = getTimelineLayoutTicks();
+  container.innerHTML = '';
+  const renderedFolders = new Set();
+  
+  tracks.forEach((track, trackIndex) => {
+    // A folder's header goes above its first track; collapsed, it hides them
+    const folder = getTrackFolder(track);
+    if (folder && !renderedFolders.has(folder)) {
+      renderedFolders.add(folder);
+      container.appendChild(renderFolderHeader(folder, tracks.filter(other => other.folderId === folder.id).length));
+    }
+    if (folder?.collapsed) return;
+    
+    const trackEl = document.createElement('div');
+    trackEl.className = 'track' + (folder ? ' in-folder' : '');
+    if (trackIndex === selectedTrackIndex) {
+      trackEl.style.border = '2px solid #FFD700';
+    }
+    trackEl.dataset.index = trackIndex;
+    trackEl.dataset.id = track.id;
+    trackEl.style.setProperty('--track-color', track.color);
+    
+    // Track header with controls
+    const header = document.createElement('div');
+    header.className = 'track-header';
+    header.innerHTML = `
+      <div class="track-title">
+        <span class="track-grip" title="Drag to reorder, or onto a folder to group">⠿</span>
+        <input type="color" class="track-color" value="${track.color}" title="Track Color">
+        <input type="text" class="track-name" title="Track Name">
+        <span>${track.loop ? '🔄' : ''} ${track.muted ? '🔇' : '🔊'}</span>
+      </div>
+      ${levelMeterHTML(getMeterState(track))}
+      <div class="track-controls">
+        <button class="play-track" title="Play Track">▶️</button>
+        <input type="range" min="0" max="1" step="0.01" class="volume-control" value="${track.volume}" title="Volume">
+        <button class="loop-toggle ${track.loop ? 'active' : ''}" title="Loop Track Content">🔄</button>
+        <button class="mute-toggle ${track.muted ? 'active' : ''}" title="Mute">🔇</button>
+        <button class="add-pattern" title="Add Pattern">🥁</button>
+        <button class="add-notes" title="Add Notes Clip">🎹</button>
+        <button class="instrument-panel" title="Instrument">🎛️</button>
+        <button class="effects-panel ${track.effects.some(effect => !effect.bypass) ? 'active' : ''}" title="Effects">✨</button>
+        <button class="automation-toggle ${openAutomationTracks.has(track) ? 'active' : ''}" title="Automation">📈</button>
+        <button class="delete-track" title="Delete Track">❌</button>
+      </div>
+    `;
+    trackEl.appendChild(header);
+    bindLevelMeter(header.querySelector('.level-meter'), getMeterState(track));
+    setupTrackReorder(header.querySelector('.track-grip'), track);
+    
+    // Name and color are edited in place; clicks on them don't re-render
+    const nameInput = header.querySelector('.track-name');
+    nameInput.value = track.name;
+    nameInput.addEventListener('change', () => {
+      setProperty(track, 'name', nameInput.value.trim() || track.name, 'Rename Track');
+    });
+    header.querySelector('.track-color').addEventListener('change', e => {
+      setProperty(track, 'color', e.target.value, 'Track Color');
+    });
+    header.querySelectorAll('.track-name, .track-color').forEach(input => {
+      input.addEventListener('click', e => e.stopPropagation());
+    });
+    
+    // Event listeners for track controls
+    bindSliderToHistory(header.querySelector('.volume-control'), 'Track Volume',
+      () => track.volume,
+      value => {
+        track.volume = value;
+        updateLiveMix();
+      });
+    
+    header.querySelector('.play-track').addEventListener('click', e => {
+      e.stopPropagation();
+      playTrack(track.id);
+    });
+    
+    header.querySelector('.loop-toggle').addEventListener('click', e => {
+      toggleTrackSetting(track, 'loop', 'Toggle Loop');
+    });
+    
+    header.querySelector('.mute-toggle').addEventListener('click', e => {
+      toggleTrackSetting(track, 'muted', 'Toggle Mute');
+    });
+    
+    header.querySelector('.add-pattern').addEventListener('click', e => {
+      e.stopPropagation();
+      addPatternClip(track);
+    });
+    
+    header.querySelector('.add-notes').addEventListener('click', e => {
+      e.stopPropagation();
+      addNotesClip(track);
+    });
+    
+    header.querySelector('.instrument-panel').addEventListener('click', e => {
+      e.stopPropagation();
+      openInstrumentPanel(track);
+    });
+    
+    header.querySelector('.effects-panel').addEventListener('click', e => {
+      e.stopPropagation();
+      openEffectsPanel(track);
+    });
+    
+    header.querySelector('.automation-toggle').addEventListener('click', e => {
+      e.stopPropagation();
+      if (openAutomationTracks.has(track)) {
+        openAutomationTracks.delete(track);
+      } else {
+        openAutomationTracks.add(track);
+      }
+      renderTracks();
+    });
+    
+    header.querySelector('.delete-track').addEventListener('click', e => {
+      e.stopPropagation();
+      deleteTrack(trackIndex);
+    });
+    
+    // Drag across empty track space to select events with a rubber band
+    trackEl.addEventListener('mousedown', e => {
+      if (e.target === trackEl && e.button === 0) {
+        startRubberBand(e);
+      }
+    });
+    
+    // Track click to select
+    trackEl.addEventListener('click', () => {
+      selectedTrackIndex = trackIndex;
+      renderTracks();
+      scheduleAutosave();
+    });
+    
+    // Setup drag and drop
+    trackEl.addEventListener('dragover', e => e.preventDefault());
+    trackEl.addEventListener('drop', async e => {
+      e.preventDefault();
+      e.stopPropagation();
+      initAudioContext();
+      const ticks = snapTicks(clientXToTicks(e.clientX, trackEl));
+      
+      // Audio files from the desktop join the library and are laid out
+      // one after another from the drop point. They are all decoded by
+      // the time the undo step opens, so it is filled in one go.
+      if (e.dataTransfer.files.length > 0) {
+        const samples = await importAudioFiles(e.dataTransfer.files);
+        let startTicks = ticks;
+        beginHistoryGroup('Add Samples');
+        try {
+          samples.forEach(sample => {
+            placeLoadedSample(track, sample.id, ticksToPosition(startTicks));
+            startTicks = secondsToTicks(ticksToSeconds(startTicks) + sample.duration);
+          });
+        } finally {
+          endHistoryGroup();
+        }
+        return;
+      }
+      
+      await placeSample(track, e.dataTransfer.getData('text'), ticksToPosition(ticks));
+    });
+    
+    // Draw sample events
+    track.events.forEach((event, eventIndex) => {
+      const eventEl = document.createElement('div');
+      eventEl.className = 'sample-event' + (selectedEvents.has(event) ? ' selected' : '');
+      eventByElement.set(eventEl, event);
+      eventEl.style.left = `${ticksToPixels(positionToTicks(event.position))}px`;
+      eventEl.style.width = `${ticksToPixels(eventLengthTicks(event))}px`;
+      const { label, color } = describeEvent(event);
+      eventEl.style.backgroundColor = color;
+      
+      // Sample clips show their audio behind the name
+      if (!event.type) {
+        const waveform = document.createElement('canvas');
+        waveform.className = 'sample-waveform';
+        eventEl.appendChild(waveform);
+      }
+      
+      // Create the main content
+      const contentDiv = document.createElement('div');
+      contentDiv.className = 'sample-content';
+      contentDiv.textContent = label;
+      eventEl.title = `${label} @ ${formatPosition(event.position)}`;
+      eventEl.appendChild(contentDiv);
+      
+      // Create delete button
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'delete-sample';
+      deleteBtn.title = 'Delete';
+      deleteBtn.innerHTML = '×';
+      deleteBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        e.preventDefault();
+        deleteSampleEvent(trackIndex, eventIndex);
+      });
+      eventEl.appendChild(deleteBtn);
+      
+      // Clips open their editor: the step sequencer, the piano roll or
+      // the clip editor for sample clips
+      const editBtn = document.createElement('button');
+      editBtn.className = 'edit-clip';
+      editBtn.title = { pattern: 'Edit Pattern', notes: 'Edit Notes' }[event.type] || 'Edit Clip';
+      editBtn.innerHTML = '✎';
+      editBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        e.preventDefault();
+        if (event.type === 'pattern') {
+          openPatternEditor(event);
+        } else if (event.type === 'notes') {
+          openNotesEditor(event);
+        } else {
+          openClipEditor(track, event);
+        }
+      });
+      eventEl.appendChild(editBtn);
+      
+      // Recorded clips open their take lanes
+      if (event.takes) {
+        const takesBtn = document.createElement('button');
+        takesBtn.className = 'takes-toggle' + (openTakeClips.has(event) ? ' active' : '');
+        takesBtn.title = 'Takes';
+        takesBtn.textContent = event.takes.length;
+        takesBtn.addEventListener('click', e => {
+          e.stopPropagation();
+          e.preventDefault();
+          if (openTakeClips.has(event)) {
+            openTakeClips.delete(event);
+          } else {
+            openTakeClips.add(event);
+          }
+          renderTracks();
+        });
+        eventEl.appendChild(takesBtn);
+      }
+      
+      // Create volume slider
+      const volumeSlider = document.createElement('input');
+      volumeSlider.type = 'range';
+      volumeSlider.min = '0';
+      volumeSlider.max = '1';
+      volumeSlider.step = '0.01';
+      volumeSlider.value = event.volume;
+      volumeSlider.className = 'sample-volume';
+      volumeSlider.title = `Volume: ${Math.round(event.volume * 100)}%`;
+      volumeSlider.addEventListener('input', e => {
+        e.stopPropagation();
+        e.preventDefault();
+        e.target.title = `Volume: ${Math.round(parseFloat(e.target.value) * 100)}%`;
+      });
+      bindSliderToHistory(volumeSlider, 'Sample Volume',
+        () => event.volume,
+        value => { event.volume = value; });
+      volumeSlider.addEventListener('input', () => drawEventWaveform(eventEl, event));
+      volumeSlider.addEventListener('mousedown', e => e.stopPropagation());
+      volumeSlider.addEventListener('touchstart', e => e.stopPropagation());
+      eventEl.appendChild(volumeSlider);
+      
+      if (!event.type) {
+        renderClipHandles(eventEl, track, event);
+      }
+      
+      // Setup dragging for this sample event
+      setupSampleDragging(eventEl, trackIndex, eventIndex);
+      
+      trackEl.appendChild(eventEl);
+    });
+    
+    // The take being recorded grows from where recording began
+    if (recordingTake && recordingTake.track === track) {
+      const region = document.createElement('div');
+      region.className = 'recording-region';
+      region.style.left = `${ticksToPixels(recordingTake.startTicks)}px`;
+      trackEl.appendChild(region);
+    }
+    
+    container.appendChild(trackEl);
+    if (openAutomationTracks.has(track)) {
+      container.appendChild(renderAutomationLanes(track, totalTicks));
+    }
+    track.events.filter(event => event.takes && openTakeClips.has(event)).forEach(event => {
+      container.appendChild(renderTakeLanes(event, totalTicks));
+    });
+  });
+  
+  // Update timeline ruler to show correct duration
+  updateTimelineRuler(totalTicks);
+  updateRecordingRegion();
+  drawWaveforms();
+  
+  // Update all track play button states after rendering
+  tracks.forEach(track => {
+    updateTrackPlayButton(track.id);
+  });
+}
+
+// Size the timeline and mark the ruler for the timeline length. Bars differ
+// in length once the time signature changes, so each is placed at its own
+// tick. How many marks there are follows the zoom: zoomed out only every
+// 2nd, 4th, ... bar is numbered, zoomed in the beats are marked as well and
+// then numbered too.
+function updateTimelineRuler(totalTicks) {
+  const ruler = document.querySelector('.timeline-ruler');
+  if (!ruler) return;
+  
+  ruler.innerHTML = '';
+  sizeTimeline(totalTicks);
+  
+  const addMark = (ticks, label, className) => {
+    const marker = document.createElement('span');
+    marker.className = className;
+    marker.style.left = `${ticksToPixels(ticks)}px`;
+    marker.textContent = label;
+    ruler.appendChild(marker);
+  };
+  
+  const narrowestBar = Math.min(...getMeterSegments().map(getMeterBarTicks));
+  let step = 1;
+  while (ticksToPixels(narrowestBar * step) < MIN_RULER_LABEL_SPACING) {
+    step *= 2;
+  }
+  
+  const totalBars = ticksToBars(totalTicks);
+  for (let bar = 0; bar < totalBars; bar++) {
+    const barTicks = barToTicks(bar);
+    if (bar % step === 0) {
+      addMark(barTicks, bar + 1, 'ruler-mark');
+    }
+    
+    const meter = getMeterAt(bar);
+    const beatPixels = ticksToPixels(getMeterBeatTicks(meter));
+    if (beatPixels < MIN_RULER_TICK_SPACING) continue;
+    for (let beat = 1; beat < meter.numerator; beat++) {
+      const label = beatPixels >= MIN_RULER_LABEL_SPACING ? `${bar + 1}.${beat + 1}` : '';
+      addMark(barTicks + beat * getMeterBeatTicks(meter), label, 'ruler-mark beat');
+    }
+  }
+  renderLoopRegion();
+  renderTempoTrack();
+}
+
+// Format a position as 1-based bar.beat.tick
+function formatPosition(position) {
+  return `${position.bar + 1}.${position.beat + 1}.${position.tick}`;
+}
+
+// Setup drag and drop for instruments
+function setupInstruments() {
+  document.querySelectorAll('.instrument').forEach(bindInstrumentDrag);
+  
+  // Audio files dropped on the palette join the user sample library
+  const palette = document.querySelector('.instrument-palette');
+  palette.addEventListener('dragover', e => {
+    if (e.dataTransfer.types.includes('Files')) {
+      e.preventDefault();
+      palette.classList.add('file-drop');
+    }
+  });
+  palette.addEventListener('dragleave', e => {
+    if (!palette.contains(e.relatedTarget)) {
+      palette.classList.remove('file-drop');
+    }
+  });
+  palette.addEventListener('drop', async e => {
+    palette.classList.remove('file-drop');
+    if (e.dataTransfer.files.length === 0) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    await importAudioFiles(e.dataTransfer.files);
+  });
+  
+  // A file dropped anywhere else would make the browser navigate away
+  window.addEventListener('dragover', e => {
+    if (e.dataTransfer.types.includes('Files')) e.preventDefault();
+  });
+  window.addEventListener('drop', e => {
+    if (e.dataTransfer.files.length > 0) e.preventDefault();
+  });
+}
+
+// Make a palette entry draggable onto tracks; it carries the sample id
+function bindInstrumentDrag(el) {
+  el.addEventListener('dragstart', e => {
+    e.dataTransfer.setData('text', el.dataset.name);
+  });
+}
+
+// Shared rendering graph
+// playAll(), playTrack() and the offline export all build their audio through
+// createTrackGraphs() and schedulePass() into a mix graph from
+// createMixGraph(), so an exported file sounds the same as live playback.
+
+// Whether a track is heard among the tracks playing with it: muted tracks
+// and tracks in a muted folder never are, and as soon as any of them is
+// soloed only soloed tracks are
+function isTrackAudible(track, trackList) {
+  const anySolo = trackList.some(other => other.solo);
+  return !track.muted && !getTrackFolder(track)?.muted && (!anySolo || track.solo);
+}
+
+// Tracks that belong in the mix
+function getAudibleTracks() {
+  return tracks.filter(track => isTrackAudible(track, tracks));
+}
+
+// Schedule tracks into a mix graph and return the created sources.
+// Song time [rangeStart, rangeEnd) (seconds) is played `repetitions` times
+// back to back from context time `when`. Looping tracks repeat their own
+// content inside each pass, see getTrackSegments().
+function scheduleTracks(ctx, mix, trackList, { when, rangeStart = 0, rangeEnd = getTotalDuration(), repetitions = 1 }) {
+  const graphs = createTrackGraphs(ctx, mix, trackList);
+  const sources = [];
+  
+  for (let pass = 0; pass < repetitions; pass++) {
+    const passStart = when + pass * (rangeEnd - rangeStart);
+    sources.push(...schedulePass(ctx, graphs, { when: passStart, rangeStart, rangeEnd }));
+  }
+  return sources;
+}
+
+// Channel strip and insert effects for each track. Events connect to
+// `input`; automation lanes drive the params getAutomatedParams() finds.
+function createTrackGraphs(ctx, mix, trackList) {
+  return trackList.map(track => {
+    const strip = createChannelStrip(ctx, mix, track, trackList);
+    // Insert effects sit between the events and the fader
+    strip.chain = createEffectChain(ctx, track, strip.input);
+    return { track, strip, input: strip.chain.input };
+  });
+}
+
+// AudioParams of a track graph by automation target. The effect chain is
+// rewired as effects are edited, so they are looked up each time.
+function getAutomatedParams({ strip }) {
+  return { volume: strip.fader.gain, pan: strip.panner.pan, ...strip.chain.params };
+}
+
+// Take the channel strips of track graphs out of a mix, silencing whatever
+// is still ringing in them and their insert effects
+function releaseTrackGraphs(mix, graphs) {
+  graphs.forEach(({ strip }) => strip.mute.disconnect());
+  mix.strips = mix.strips.filter(strip => !graphs.some(graph => graph.strip === strip));
+}
+
+// Schedule one pass, song time [rangeStart, rangeEnd) from context time
+// `when`, into track graphs and return the created sources. Only what starts
+// inside the context time window [from, to) is scheduled, so the transport
+// can come back for each stretch it looks ahead; by default that is all of it.
+function schedulePass(ctx, graphs, { when, rangeStart, rangeEnd, from = -Infinity, to = Infinity }) {
+  const sources = [];
+  
+  graphs.forEach(graph => {
+    const { track, input } = graph;
+    const automatedParams = getAutomatedParams(graph);
+    getTrackSegments(track, { when, rangeStart, rangeEnd, from, to }).forEach(segment => {
+      // The part of the segment inside the window, in context and song time
+      const windowStart = Math.max(from, segment.passStart);
+      const windowEnd = Math.min(to, segment.passStart + segment.rangeEnd - segment.rangeStart);
+      if (windowStart >= windowEnd) return;
+      const songStart = segment.rangeStart + windowStart - segment.passStart;
+      const songEnd = segment.rangeStart + windowEnd - segment.passStart;
+      
+      track.automation.forEach(lane => {
+        if (automatedParams[lane.target] && lane.points.length > 0) {
+          const points = segment.shiftTicks
+            ? lane.points.map(point => ({ ...point, ticks: point.ticks + segment.shiftTicks }))
+            : lane.points;
+          scheduleAutomation(automatedParams[lane.target], points, {
+            passStart: windowStart,
+            rangeStart: songStart,
+            rangeEnd: songEnd
+          });
+        }
+      });
+      
+      const events = segment.shiftTicks
+        ? track.events.map(event => ({ ...event, position: ticksToPosition(positionToTicks(event.position) + segment.shiftTicks) }))
+        : track.events;
+      events.forEach(event => {
+        const eventStart = eventStartSeconds(event);
+        if (eventStart >= songEnd || eventStart + eventDurationSeconds(event) <= songStart) return;
+        
+        getEventHits(event).forEach(hit => {
+          // A hit still sounding where the segment begins is started there
+          const startTime = segment.passStart + Math.max(0, eventStartSeconds(hit) - segment.rangeStart);
+          if (startTime < windowStart || startTime >= windowEnd) return;
+          
+          const patch = getSynthPatch(track, hit);
+          const source = patch
+            ? scheduleSynthVoice(ctx, input, hit, patch, segment)
+            : scheduleEvent(ctx, input, hit, segment);
+          if (source) {
+            sources.push(source);
+          }
+        });
+      });
+    });
+  });
+  
+  return sources;
+}
+
+// The stretches of song time a track plays in a pass, as { passStart,
+// rangeStart, rangeEnd } like the pass itself plus `shiftTicks`, how far the
+// track's content is moved along for it. A looping track repeats its content
+// every getTrackLoopTicks(), so the pass is cut into one segment per repeat;
+// only the repeats overlapping the window [from, to) are listed. Repeats are
+// placed in ticks, so they follow tempo changes like the rest of the song.
+function getTrackSegments(track, { when, rangeStart, rangeEnd, from, to }) {
+  if (!track.loop) {
+    return [{ passStart: when, rangeStart, rangeEnd, shiftTicks: 0 }];
+  }
+  
+  const length = getTrackLoopTicks(track);
+  const first = secondsToTicks(Math.max(rangeStart, rangeStart + from - when));
+  const last = Math.min(rangeEnd, rangeStart + to - when);
+  const segments = [];
+  for (let repeat = Math.floor(first / length); ticksToSeconds(repeat * length) < last; repeat++) {
+    const start = Math.max(rangeStart, ticksToSeconds(repeat * length));
+    const end = Math.min(rangeEnd, ticksToSeconds((repeat + 1) * length));
+    segments.push({
+      passStart: when + start - rangeStart,
+      rangeStart: start,
+      rangeEnd: end,
+      shiftTicks: repeat * length
+    });
+  }
+  return segments;
+}
+
+// Length a looping track repeats at: its content rounded up to whole bars
+function getTrackLoopTicks(track) {
+  const end = Math.max(0, ...track.events.map(event => positionToTicks(event.position) + eventLengthTicks(event)));
+  return Math.max(barToTicks(1), ceilToBar(end));
+}
+
+// The sample hits an event plays. A sample event is its own hit; a pattern
+// clip expands into its steps, rolling each step's probability anew, and a
+// notes clip into pitched notes.
+function getEventHits(event) {
+  if (event.type === 'pattern') {
+    return getPatternHits(event);
+  }
+  if (event.type === 'notes') {
+    return getNoteHits(event);
+  }
+  return [event];
+}
+
+// Schedule one event, trimmed to the range; returns null if it falls outside
+function scheduleEvent(ctx, destination, event, { passStart, rangeStart, rangeEnd }) {
+  const eventStart = eventStartSeconds(event);
+  const eventEnd = eventStart + event.duration;
+  
+  if (eventStart >= rangeEnd || eventEnd <= rangeStart) {
+    return null;
+  }
+  
+  // Notes repitch the sample from its root note; synthesized instruments
+  // never get here, they are played by scheduleSynthVoice()
+  const sourceBuffer = getEventBuffer(event);
+  const rootNote = getSampleInfo(event.sampleId)?.rootNote ?? DEFAULT_ROOT_NOTE;
+  const detune = event.pitch !== undefined ? (event.pitch - rootNote) * 100 : 0;
+  if (!sourceBuffer) {
+    return null;
+  }
+  
+  // Trimmed clips start `offset` seconds into their (possibly reversed) audio
+  const buffer = event.reverse ? getReversedBuffer(sourceBuffer) : sourceBuffer;
+  const clipOffset = event.offset || 0;
+  const gain = event.volume * dbToGain(event.gainDb || 0);
+  
+  const source = ctx.createBufferSource();
+  const sampleGain = ctx.createGain();
+  
+  source.buffer = buffer;
+  sampleGain.gain.value = gain;
+  
+  source.connect(sampleGain);
+  sampleGain.connect(destination);
+  
+  // Positions are in beats, so tempo only changes when events start
+  const startTime = passStart + Math.max(0, eventStart - rangeStart);
+  const offset = Math.max(0, rangeStart - eventStart);
+  
+  const playLength = Math.min(eventEnd, rangeEnd) - eventStart - offset;
+  
+  // Notes end after their length with a short fade instead of a click
+  if (event.gate) {
+    const endTime = startTime + playLength;
+    sampleGain.gain.setValueAtTime(event.volume, Math.max(startTime, endTime - NOTE_RELEASE));
+    sampleGain.gain.linearRampToValueAtTime(0, endTime);
+  }
+  
+  if (detune) {
+    // Detuned audio runs faster or slower than real time, so the buffer
+    // offset is scaled and the note is ended in context time
+    source.detune.value = detune;
+    source.start(startTime, offset * Math.pow(2, detune / 1200));
+    source.stop(startTime + playLength);
+  } else {
+    scheduleClipFades(sampleGain.gain, event, gain, startTime, offset);
+    source.start(startTime, clipOffset + offset, playLength);
+  }
+  
+  return source;
+}
+
+// Render tracks in an OfflineAudioContext using the shared graph. `stem`
+// renders one part of the mix instead, see createMixGraph().
+async function renderTracksOffline(trackList, { rangeStart, rangeEnd, repetitions = 1, sampleRate = audioCtx.sampleRate, stem = null, onProgress }) {
+  const duration = (rangeEnd - rangeStart) * repetitions;
+  const length = Math.max(1, Math.ceil(duration * sampleRate));
+  const offlineCtx = new OfflineAudioContext(2, length, sampleRate);
+  const mix = createMixGraph(offlineCtx, offlineCtx.destination, { stem });
+  
+  scheduleTracks(offlineCtx, mix, trackList, { when: 0, rangeStart, rangeEnd, repetitions });
+  applyMixSettings(mix);
+  
+  if (onProgress) {
+    reportRenderProgress(offlineCtx, length, onProgress);
+  }
+  
+  const buffer = await offlineCtx.startRendering();
+  if (onProgress) {
+    onProgress(1);
+  }
+  return buffer;
+}
+
+// OfflineAudioContext has no progress event, so suspend the render at regular
+// points to report how far it got. Browsers without offline suspend() just
+// jump from 0 to 100%.
+function reportRenderProgress(offlineCtx, length, onProgress) {
+  if (typeof offlineCtx.suspend !== 'function') return;
+  
+  const RENDER_QUANTUM = 128; // suspend() times must land on a render quantum
+  const steps = 20;
+  let lastFrame = 0;
+  
+  onProgress(0);
+  for (let step = 1; step < steps; step++) {
+    const frame = Math.floor((length * step / steps) / RENDER_QUANTUM) * RENDER_QUANTUM;
+    if (frame <= lastFrame || frame >= length) continue;
+    lastFrame = frame;
+    
+    offlineCtx.suspend(frame / offlineCtx.sampleRate).then(() => {
+      onProgress(frame / length);
+      offlineCtx.resume();
+    }).catch(error => {
+      console.warn('Render progress unavailable:', error);
+    });
+  }
+}
+
+// Transport
+// Live playback runs on a look-ahead scheduler instead of scheduling the whole
+// song up front: a timer wakes every SCHEDULER_INTERVAL ms and schedules what
+// starts within the next SCHEDULE_AHEAD seconds. Song time is played as a
+// chain of passes (see schedulePass()). While the loop region is on, each
+// pass after the first replays it from exactly where the previous one ended,
+// so every track repeats in sync.
+const SCHEDULER_INTERVAL = 25; // ms between scheduler runs
+const SCHEDULE_AHEAD = 0.1; // Seconds scheduled ahead of the context clock
+
+// Start playing tracks from song time `startSeconds` at context time `when`
+// and return the transport. Its `sources` include the scheduler itself, so
+// stopping them like any other sources also stops the scheduling and takes
+// the transport's channel strips out of the live mix. Playback ends at
+// getEnd() unless it loops; `onEnd` is called once it has.
+function startTransport(trackList, { when, startSeconds = 0, useLoopRegion = false, getEnd = getTotalDuration, onEnd }) {
+  const state = {
+    trackList,
+    useLoopRegion,
+    getEnd,
+    graphs: createTrackGraphs(audioCtx, getLiveMix(), trackList),
+    passes: [],
+    scheduledUntil: when,
+    sources: []
+  };
+  state.passes.push({ when, rangeStart: startSeconds, rangeEnd: getPassEnd(state, startSeconds) });
+  
+  const timer = setInterval(() => runTransport(state, onEnd), SCHEDULER_INTERVAL);
+  state.sources.push({
+    stop: () => {
+      clearInterval(timer);
+      releaseTrackGraphs(getLiveMix(), state.graphs);
+    }
+  });
+  runTransport(state, onEnd);
+  return state;
+}
+
+// Schedule everything up to the look-ahead horizon, moving on to the next
+// pass whenever the current one is fully scheduled. What should have started
+// already, say after timers were throttled in a background tab, is skipped
+// rather than played late.
+function runTransport(state, onEnd) {
+  const now = audioCtx.currentTime;
+  const horizon = now + SCHEDULE_AHEAD;
+  
+  while (state.scheduledUntil < horizon) {
+    const pass = state.passes[state.passes.length - 1];
+    
+    // The loop region and the song can change while playing; the part of
+    // the pass that is not scheduled yet follows them
+    const end = getPassEnd(state, pass.rangeStart);
+    if (end > pass.rangeStart + state.scheduledUntil - pass.when) {
+      pass.rangeEnd = end;
+    }
+    
+    const passEnd = pass.when + pass.rangeEnd - pass.rangeStart;
+    const to = Math.min(horizon, passEnd);
+    const from = Math.max(state.scheduledUntil, now);
+    if (to > from) {
+      const stretch = { ...pass, from, to };
+      addTransportSources(state, schedulePass(audioCtx, state.graphs, stretch));
+      if (recordingSettings.metronome) {
+        addTransportSources(state, scheduleMetronome(audioCtx, stretch));
+      }
+    }
+    state.scheduledUntil = Math.max(state.scheduledUntil, to);
+    if (to < passEnd) break;
+    
+    const next = getNextPass(state, pass);
+    if (!next) {
+      if (audioCtx.currentTime >= passEnd) {
+        onEnd();
+      }
+      break;
+    }
+    state.passes.push(next);
+  }
+}
+
+// Keep sources in the transport until they have played, so that only the
+// ones still to be heard are left to stop
+function addTransportSources(state, sources) {
+  sources.forEach(source => {
+    state.sources.push(source);
+    source.onended = () => {
+      const index = state.sources.indexOf(source);
+      if (index >= 0) {
+        state.sources.splice(index, 1);
+      }
+    };
+  });
+}
+
+// Song time a pass starting at `rangeStart` runs to: the end of the loop
+// region, or the end of the song. Looping tracks keep going past the end.
+function getPassEnd(state, rangeStart) {
+  const loop = state.useLoopRegion ? getLoopRange() : null;
+  if (loop && rangeStart < loop.end) {
+    return loop.end;
+  }
+  if (state.trackList.some(track => track.loop)) {
+    return Infinity;
+  }
+  return state.getEnd();
+}
+
+// The pass following `pass`, or null when playback is over. Only a pass
+// that ran up to the loop end wraps; one started past it plays on.
+function getNextPass(state, pass) {
+  const loop = state.useLoopRegion ? getLoopRange() : null;
+  const wraps = loop && pass.rangeStart < loop.end && pass.rangeEnd >= loop.end;
+  const rangeStart = wraps ? loop.start : pass.rangeEnd;
+  const rangeEnd = getPassEnd(state, rangeStart);
+  if (rangeEnd <= rangeStart) return null;
+  return { when: pass.when + pass.rangeEnd - pass.rangeStart, rangeStart, rangeEnd };
+}
+
+// Song position in seconds at a context time
+function getTransportSeconds(state, time) {
+  const pass = state.passes.findLast(candidate => candidate.when <= time) || state.passes[0];
+  const elapsed = Math.min(time, pass.when + pass.rangeEnd - pass.rangeStart) - pass.when;
+  return pass.rangeStart + Math.max(0, elapsed);
+}
+
+// Metronome
+// Clicks on every beat, accented on the first beat of the bar. They go
+// straight to the speakers, so they are never metered or exported.
+const METRONOME_LEVEL = 0.5;
+const METRONOME_CLICK_LENGTH = 0.05; // Seconds
+const METRONOME_FREQUENCIES = { accent: 1760, beat: 1320 };
+
+// Clicks on the beats of a pass that fall inside its window [from, to),
+// following the time signature of each bar
+function scheduleMetronome(ctx, { when, rangeStart, rangeEnd, from, to }) {
+  const clicks = [];
+  let { bar, beat } = ticksToPosition(secondsToTicks(rangeStart + Math.max(0, from - when)));
+  
+  for (;;) {
+    const seconds = ticksToSeconds(positionToTicks({ bar, beat, tick: 0 }));
+    const time = when + seconds - rangeStart;
+    if (seconds >= rangeEnd || time >= to) break;
+    if (time >= from && seconds >= rangeStart) {
+      clicks.push(playClick(ctx, time, beat === 0));
+    }
+    beat++;
+    if (beat >= getMeterAt(bar).numerator) {
+      bar++;
+      beat = 0;
+    }
+  }
+  return clicks;
+}
+
+// One click at context time `time`; returns the oscillator so it can be stopped
+function playClick(ctx, time, accent, level = METRONOME_LEVEL) {
+  const oscillator = ctx.createOscillator();
+  const gain = ctx.createGain();
+  oscillator.frequency.value = accent ? METRONOME_FREQUENCIES.accent : METRONOME_FREQUENCIES.beat;
+  gain.gain.setValueAtTime(level, time);
+  gain.gain.exponentialRampToValueAtTime(0.001, time + METRONOME_CLICK_LENGTH);
+  
+  oscillator.connect(gain);
+  gain.connect(ctx.destination);
+  oscillator.start(time);
+  oscillator.stop(time + METRONOME_CLICK_LENGTH);
+  return oscillator;
+}
+
+function toggleMetronome() {
+  recordingSettings.metronome = !recordingSettings.metronome;
+  saveRecordingSettings();
+  document.getElementById('metronome').classList.toggle('active', recordingSettings.metronome);
+}
+
+// Play all tracks
+function playAll() {
+  if (isPlaying) return;
+  
+  initAudioContext();
+  startPlayback(audioCtx.currentTime);
+}
+
+// Play the arrangement from the playhead, starting at context time `when`.
+// A recording runs on past the end of the song and ignores the loop region.
+function startPlayback(when, { startTicks = playheadTicks, useLoopRegion = true, getEnd = getTotalDuration } = {}) {
+  isPlaying = true;
+  document.getElementById('play-all').textContent = '⏸️ Playing...';
+  
+  // Start playback position animation
+  playbackPositionInterval = setInterval(updatePlaybackPosition, 50);
+  
+  // Every track is scheduled so that mute and solo can change while playing
+  transport = startTransport(tracks, {
+    when,
+    startSeconds: ticksToSeconds(startTicks),
+    useLoopRegion,
+    getEnd,
+    onEnd: stopAll
+  });
+  audioSources = transport.sources;
+  updateLiveMix();
+  startMeters();
+}
+
+// Stop all playback
+function stopAll() {
+  if (recordingTake) {
+    stopRecording();
+  }
+  
+  // Stop main playback
+  audioSources.forEach(source => {
+    try {
+      source.stop();
+    } catch (e) {
+      // Source may already be stopped
+    }
+  });
+  audioSources = [];
+  transport = null;
+  isPlaying = false;
+  document.getElementById('play-all').textContent = '▶️ Play All';
+  
+  // Stop all individual tracks
+  tracks.forEach(track => {
+    if (trackPlayStates.get(track.id)) {
+      stopTrack(track.id);
+    }
+  });
+  
+  // Stop playback position animation
+  if (playbackPositionInterval) {
+    clearInterval(playbackPositionInterval);
+    playbackPositionInterval = null;
+  }
+  
+  // Return the playhead to where it rests
+  showRestingPlayhead();
+}
+
+// Clear all tracks
+function clearAll() {
+  if (confirm('Are you sure you want to clear all tracks?')) {
+    // Stop all playback first
+    stopAll();
+    
+    // Keep the current state as its own snapshot so the clear can be recovered
+    flushAutosave();
+    startNewSnapshot();
+    
+    const previousTracks = tracks;
+    const previousSelection = selectedTrackIndex;
+    const emptyTrack = newTrack([]);
+    
+    executeCommand({
+      label: 'Clear All',
+      do: () => {
+        replaceTracks([emptyTrack]);
+        selectedTrackIndex = 0;
+      },
+      undo: () => {
+        replaceTracks(previousTracks);
+        selectedTrackIndex = previousSelection;
+      }
+    });
+  }
+}
+
+// Swap in a whole new list of tracks, resetting per-track play state
+function replaceTracks(newTracks) {
+  stopAll();
+  selectedEvents.clear();
+  tracks = newTracks;
+  trackPlayStates = new Map();
+  trackAudioSources = new Map();
+}
+
+// Keyboard shortcuts
+function setupKeyboardShortcuts() {
+  document.addEventListener('keydown', e => {
+    // Don't trigger shortcuts when typing in inputs
+    if (e.target.tagName === 'INPUT') return;
+    
+    // Undo / redo
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+      return;
+    }
+    
+    // Clipboard and duplicate. With no clips selected, or nothing to paste,
+    // the keys are left to the browser.
+    if ((e.ctrlKey || e.metaKey) && ['c', 'x', 'v', 'd'].includes(e.key.toLowerCase())) {
+      const key = e.key.toLowerCase();
+      if (key === 'v' ? !clipboard : getSelectedEvents().length === 0) return;
+      e.preventDefault();
+      if (key === 'c') {
+        copySelection();
+      } else if (key === 'x') {
+        cutSelection();
+      } else if (key === 'v') {
+        pasteAtPlayhead();
+      } else {
+        duplicateSelection();
+      }
+      return;
+    }
+    
+    // With events selected, the arrow keys nudge them by the grid (a bar
+    // with Shift) or move them between tracks
+    const hasSelection = getSelectedEvents().length > 0;
+    
+    switch (e.key.toLowerCase()) {
+      case ' ':
+        e.preventDefault();
+        if (isPlaying) {
+          stopAll();
+        } else {
+          playAll();
+        }
+        break;
+      case 't':
+        e.preventDefault();
+        createTrack();
+        break;
+      case 'delete':
+      case 'backspace':
+        e.preventDefault();
+        if (hasSelection) {
+          removeEvents(getSelectedEvents(), 'Delete Clips');
+        } else if (selectedTrackIndex >= 0) {
+          deleteTrack(selectedTrackIndex);
+        }
+        break;
+      case 'escape':
+        selectedEvents.clear();
+        renderTracks();
+        break;
+      case 'arrowup':
+        e.preventDefault();
+        if (hasSelection) {
+          moveEvents(getSelectedEvents(), 0, -1, 'Move Clips');
+          break;
+        }
+        selectedTrackIndex = Math.max(0, selectedTrackIndex - 1);
+        renderTracks();
+        scheduleAutosave();
+        break;
+      case 'arrowdown':
+        e.preventDefault();
+        if (hasSelection) {
+          moveEvents(getSelectedEvents(), 0, 1, 'Move Clips');
+          break;
+        }
+        selectedTrackIndex = Math.min(tracks.length - 1, selectedTrackIndex + 1);
+        renderTracks();
+        scheduleAutosave();
+        break;
+      case 'arrowleft':
+        e.preventDefault();
+        if (hasSelection) {
+          const selection = getSelectedEvents();
+          moveEvents(selection, getNudgeTicks(selection, e.shiftKey, -1), 0, 'Nudge Clips');
+          break;
+        }
+        // Decrease BPM
+        setBPM(bpm - 5);
+        break;
+      case 'arrowright':
+        e.preventDefault();
+        if (hasSelection) {
+          const selection = getSelectedEvents();
+          moveEvents(selection, getNudgeTicks(selection, e.shiftKey, 1), 0, 'Nudge Clips');
+          break;
+        }
+        // Increase BPM
+        setBPM(bpm + 5);
+        break;
+      case 'r':
+        e.preventDefault();
+        document.getElementById('record-vocals').click();
+        break;
+      case 'l':
+        e.preventDefault();
+        toggleLoopRegion();
+        break;
+      case 's':
+        e.preventDefault();
+        document.getElementById('download-song').click();
+        break;
+    }
+  });
+}
+
+// Recording
+// A take is recorded while the arrangement plays from the playhead, after an
+// optional one-bar count-in. The recorder starts straight away, so the
+// recording begins with the count-in; that part and the input latency are
+// cut off, which puts the take on the beat where recording began. With the
+// loop region on, recording starts at the loop start and cycles over the
+// region, and every pass becomes a take on the same clip (see Takes below).
+const RECORDING_SETTINGS_STORAGE_KEY = 'music-maker-recording';
+const RECORDING_DEFAULTS = {
+  countIn: true,
+  metronome: false, // Also clicks during normal playback
+  latencyMs: 0 // How late input arrives; takes are moved earlier by this much
+};
+const RECORDING_LEAD = 0.1; // Seconds between pressing record and the first beat
+const MAX_LATENCY_MS = 500;
+
+// Latency measurement: clicks played on the speakers and found again in
+// the microphone input
+const LATENCY_TEST_CLICKS = 4;
+const LATENCY_TEST_SPACING = 0.5; // Seconds between clicks
+const LATENCY_TEST_LEVEL = 0.8;
+const LATENCY_TEST_MIN_PEAK = 0.02; // Quieter input means the clicks were not heard
+
+function loadRecordingSettings() {
+  try {
+    return { ...RECORDING_DEFAULTS, ...JSON.parse(localStorage.getItem(RECORDING_SETTINGS_STORAGE_KEY) || '{}') };
+  } catch (error) {
+    return { ...RECORDING_DEFAULTS };
+  }
+}
+
+function saveRecordingSettings() {
+  localStorage.setItem(RECORDING_SETTINGS_STORAGE_KEY, JSON.stringify(recordingSettings));
+}
+
+// Start recording onto the selected track, or stop the running recording
+async function recordVocals() {
+  if (recordingTake) {
+    stopAll();
+    return;
+  }
+  if (selectedTrackIndex < 0) {
+    alert('Select a track to record onto first.');
+    return;
+  }
+  
+  try {
+    initAudioContext();
+    recordingStream = await navigator.mediaDevices.getUserMedia({ 
+      audio: {
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: true
+      }
+    });
+  } catch (error) {
+    console.error('Error accessing microphone:', error);
+    alert('Could not access microphone. Please check permissions.');
+    return;
+  }
+  
+  stopAll();
+  
+  // Playback starts after the count-in, a bar in the time signature and
+  // tempo recording starts in; the clicks go with its sources
+  const loop = getLoopRange();
+  const startTicks = loop ? loopRegion.startTicks : playheadTicks;
+  const meter = getMeterAt(ticksToPosition(startTicks).bar);
+  const beatSeconds = getMeterBeatTicks(meter) / TICKS_PER_BEAT * 60 / getTempoAt(startTicks);
+  const countIn = recordingSettings.countIn ? meter.numerator * beatSeconds : 0;
+  const take = {
+    track: tracks[selectedTrackIndex],
+    startTicks,
+    loopSeconds: loop ? loop.end - loop.start : 0,
+    when: audioCtx.currentTime + RECORDING_LEAD + countIn,
+    recorderStart: null
+  };
+  
+  mediaRecorder = new MediaRecorder(recordingStream);
+  recordedChunks = [];
+  mediaRecorder.ondataavailable = e => recordedChunks.push(e.data);
+  mediaRecorder.onstart = () => {
+    take.recorderStart = audioCtx.currentTime;
+  };
+  mediaRecorder.onstop = () => finishTake(take);
+  mediaRecorder.start();
+  
+  recordingTake = take;
+  startPlayback(take.when, {
+    startTicks: take.startTicks,
+    useLoopRegion: Boolean(loop),
+    getEnd: () => Infinity
+  });
+  for (let beat = 0; beat < meter.numerator && countIn > 0; beat++) {
+    audioSources.push(playClick(audioCtx, take.when - countIn + beat * beatSeconds, beat === 0));
+  }
+  
+  document.getElementById('record-vocals').textContent = '⏹️ Stop Recording';
+  renderTracks();
+}
+
+// End the recording; the take is added once the recorder has finished
+function stopRecording() {
+  recordingTake = null;
+  mediaRecorder.stop();
+  document.getElementById('record-vocals').textContent = '🎤 Record Vocals';
+  renderTracks();
+}
+
+// Trim the count-in and latency off a finished recording, cut it into one
+// take per loop pass and add the takes to the track
+async function finishTake(take) {
+  recordingStream.getTracks().forEach(track => track.stop());
+  
+  try {
+    const blob = new Blob(recordedChunks, { type: mediaRecorder.mimeType });
+    const audioBuffer = await audioCtx.decodeAudioData(await blob.arrayBuffer());
+    
+    // Audio recorded before the beat the take starts on. It can come out
+    // negative if the recorder started late; the start is then left silent.
+    const lead = take.when - (take.recorderStart ?? take.when) + recordingSettings.latencyMs / 1000;
+    const recorded = audioBuffer.duration - lead;
+    
+    // A pass cut short by stopping only counts if it lasted a beat
+    const passLength = take.loopSeconds || recorded;
+    const buffers = [];
+    for (let pass = 0; pass * passLength < recorded; pass++) {
+      const length = Math.min(passLength, recorded - pass * passLength);
+      const minLength = pass === 0 ? MIN_CLIP_DURATION : ticksToSeconds(take.startTicks + TICKS_PER_BEAT) - ticksToSeconds(take.startTicks);
+      if (length < minLength) break;
+      buffers.push(sliceAudioBuffer(audioBuffer, lead + pass * passLength, length));
+    }
+    if (buffers.length === 0 || !tracks.includes(take.track)) return;
+    
+    addTakes(take.track, take.startTicks, buffers);
+  } catch (error) {
+    console.error('Error decoding recording:', error);
+    showNotification('The recording could not be decoded.', 'error');
+  }
+}
+
+// Stretch the live region of the take being recorded up to the playhead
+function updateRecordingRegion() {
+  const region = document.querySelector('.recording-region');
+  if (!region || !recordingTake) return;
+  
+  const length = Math.max(0, getPlayheadTicks() - recordingTake.startTicks);
+  region.style.width = `${ticksToPixels(length)}px`;
+  if (recordingTake.loopSeconds) {
+    const pass = Math.floor(Math.max(0, audioCtx.currentTime - recordingTake.when) / recordingTake.loopSeconds);
+    region.textContent = `Take ${pass + 1}`;
+  }
+}
+
+// Measure how late input arrives: play clicks and find them in what the
+// microphone picks up. The speakers have to be audible to the microphone.
+// Resolves with the latency in ms, including the recorder's own start delay.
+async function measureInputLatency() {
+  initAudioContext();
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false
+    }
+  });
+  
+  try {
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    recorder.ondataavailable = e => chunks.push(e.data);
+    const started = new Promise(resolve => {
+      recorder.onstart = () => resolve(audioCtx.currentTime);
+    });
+    const stopped = new Promise(resolve => {
+      recorder.onstop = resolve;
+    });
+    
+    recorder.start();
+    const recorderStart = await started;
+    const clickOffsets = [];
+    for (let click = 1; click <= LATENCY_TEST_CLICKS; click++) {
+      clickOffsets.push(click * LATENCY_TEST_SPACING);
+      playClick(audioCtx, recorderStart + click * LATENCY_TEST_SPACING, true, LATENCY_TEST_LEVEL);
+    }
+    await new Promise(resolve => setTimeout(resolve, (LATENCY_TEST_CLICKS + 1) * LATENCY_TEST_SPACING * 1000));
+    recorder.stop();
+    await stopped;
+    
+    const blob = new Blob(chunks, { type: recorder.mimeType });
+    const buffer = await audioCtx.decodeAudioData(await blob.arrayBuffer());
+    const latency = findClickLatency(buffer, clickOffsets);
+    if (latency === null) {
+      throw new Error('The clicks could not be heard. Turn up the speakers and try again.');
+    }
+    return Math.round(latency * 1000);
+  } finally {
+    stream.getTracks().forEach(track => track.stop());
+  }
+}
+
+// Median delay between where clicks were played and where their onsets are
+// in a recording, or null if they cannot be found
+function findClickLatency(buffer, clickOffsets) {
+  const data = buffer.getChannelData(0);
+  const peak = getPeak([data]);
+  if (peak < LATENCY_TEST_MIN_PEAK) return null;
+  
+  // Each click is looked for within half the spacing either side of where it was played
+  const threshold = peak / 2;
+  const reach = Math.round(LATENCY_TEST_SPACING / 2 * buffer.sampleRate);
+  const latencies = [];
+  clickOffsets.forEach(offset => {
+    const expected = Math.round(offset * buffer.sampleRate);
+    const end = Math.min(data.length, expected + reach);
+    for (let i = Math.max(0, expected - reach); i < end; i++) {
+      if (Math.abs(data[i]) >= threshold) {
+        latencies.push((i - expected) / buffer.sampleRate);
+        break;
+      }
+    }
+  });
+  if (latencies.length === 0) return null;
+  
+  latencies.sort((a, b) => a - b);
+  return latencies[Math.floor(latencies.length / 2)];
+}
+
+// Recording options: count-in, metronome and input latency
+function openRecordingSettings() {
+  const modal = openModal('🎤 Recording Settings');
+  modal.body.innerHTML = `
+    <div class="export-form">
+      <label class="form-row">
+        <span>Count-in bar</span>
+        <input type="checkbox" class="recording-count-in" ${recordingSettings.countIn ? 'checked' : ''}>
+      </label>
+      <label class="form-row">
+        <span>Metronome</span>
+        <input type="checkbox" class="recording-metronome" ${recordingSettings.metronome ? 'checked' : ''}>
+      </label>
+      <label class="form-row">
+        <span>Input latency (ms)</span>
+        <input type="number" class="recording-latency" min="${-MAX_LATENCY_MS}" max="${MAX_LATENCY_MS}" step="1" value="${recordingSettings.latencyMs}">
+      </label>
+      <div class="form-row">
+        <button class="recording-measure">📏 Measure Latency</button>
+        <span class="recording-status"></span>
+      </div>
+    </div>
+  `;
+  
+  const latencyInput = modal.body.querySelector('.recording-latency');
+  const status = modal.body.querySelector('.recording-status');
+  const setLatency = value => {
+    recordingSettings.latencyMs = Math.max(-MAX_LATENCY_MS, Math.min(MAX_LATENCY_MS, Math.round(value) || 0));
+    latencyInput.value = recordingSettings.latencyMs;
+    saveRecordingSettings();
+  };
+  
+  modal.body.querySelector('.recording-count-in').addEventListener('change', e => {
+    recordingSettings.countIn = e.target.checked;
+    saveRecordingSettings();
+  });
+  modal.body.querySelector('.recording-metronome').addEventListener('change', e => {
+    if (e.target.checked !== recordingSettings.metronome) {
+      toggleMetronome();
+    }
+  });
+  latencyInput.addEventListener('change', () => setLatency(parseFloat(latencyInput.value)));
+  
+  const measureButton = modal.body.querySelector('.recording-measure');
+  measureButton.addEventListener('click', async () => {
+    measureButton.disabled = true;
+    status.textContent = 'Listening for clicks...';
+    try {
+      setLatency(await measureInputLatency());
+      status.textContent = `Measured ${recordingSettings.latencyMs} ms`;
+    } catch (error) {
+      console.error('Error measuring latency:', error);
+      status.textContent = error.message;
+    } finally {
+      measureButton.disabled = false;
+    }
+  });
+}
+
+// Takes
+// A recorded clip keeps every take recorded onto it as `takes` ([{ buffer }],
+// all starting on the clip's first beat) and a `comp`: segments { start,
+// take } sorted by start in seconds, the first at 0, each playing its take
+// until the next one begins. The clip's buffer is the comp rendered out, so
+// playback, clip edits and the export treat it like any other recording.
+const COMP_CROSSFADE = 0.01; // Seconds, centred on each comp boundary
+const openTakeClips = new WeakSet(); // Clips showing their take lanes
+
+// Copy part of a buffer; whatever lies outside the buffer comes out silent
+function sliceAudioBuffer(buffer, start, length) {
+  const from = Math.round(start * buffer.sampleRate);
+  const frames = Math.max(1, Math.round(length * buffer.sampleRate));
+  const slice = audioCtx.createBuffer(buffer.numberOfChannels, frames, buffer.sampleRate);
+  for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+    const data = buffer.getChannelData(channel);
+    slice.getChannelData(channel).set(
+      data.subarray(Math.max(0, from), Math.min(data.length, from + frames)),
+      Math.max(0, -from)
+    );
+  }
+  return slice;
+}
+
+function getCompLength(takes) {
+  return Math.max(...takes.map(take => take.buffer.duration));
+}
+
+// The comp as { start, end, take } sections
+function getCompSections(takes, comp) {
+  const length = getCompLength(takes);
+  return comp.map((segment, index) => ({
+    start: segment.start,
+    end: index + 1 < comp.length ? comp[index + 1].start : length,
+    take: segment.take
+  }));
+}
+
+// Render a comp into one buffer. Neighbouring sections overlap by
+// COMP_CROSSFADE with equal-power fades, so the joins do not click.
+function buildCompBuffer(takes, comp) {
+  if (comp.length === 1) return takes[comp[0].take].buffer;
+  
+  const { sampleRate } = takes[0].buffer;
+  const channels = Math.max(...takes.map(take => take.buffer.numberOfChannels));
+  const length = Math.max(...takes.map(take => take.buffer.length));
+  const output = audioCtx.createBuffer(channels, length, sampleRate);
+  const halfFade = Math.max(1, Math.round(COMP_CROSSFADE * sampleRate / 2));
+  
+  getCompSections(takes, comp).forEach(({ start, end, take }, index) => {
+    const source = takes[take].buffer;
+    const startFrame = Math.round(start * sampleRate);
+    const endFrame = Math.round(end * sampleRate);
+    const fadeIn = index > 0;
+    const fadeOut = index + 1 < comp.length;
+    const from = fadeIn ? Math.max(0, startFrame - halfFade) : 0;
+    const to = Math.min(source.length, fadeOut ? endFrame + halfFade : length);
+    
+    for (let channel = 0; channel < channels; channel++) {
+      const input = source.getChannelData(Math.min(channel, source.numberOfChannels - 1));
+      const data = output.getChannelData(channel);
+      for (let i = from; i < to; i++) {
+        let gain = 1;
+        if (fadeIn && i < startFrame + halfFade) {
+          gain *= Math.sin((i - startFrame + halfFade) / (2 * halfFade) * Math.PI / 2);
+        }
+        if (fadeOut && i >= endFrame - halfFade) {
+          gain *= Math.cos((i - endFrame + halfFade) / (2 * halfFade) * Math.PI / 2);
+        }
+        data[i] += input[i] * gain;
+      }
+    }
+  });
+  return output;
+}
+
+// Comp a stretch of the clip from one take. Sections the range covers are
+// replaced, the section it ends in carries on after it and neighbours
+// playing the same take are merged.
+function compRange(takes, comp, start, end, take) {
+  const length = getCompLength(takes);
+  start = Math.max(0, start);
+  end = Math.min(length, end);
+  if (end <= start) return comp;
+  
+  const resumed = [...comp].reverse().find(segment => segment.start <= end).take;
+  const segments = comp.filter(segment => segment.start < start || segment.start > end);
+  segments.push({ start, take });
+  if (end < length) {
+    segments.push({ start: end, take: resumed });
+  }
+  segments.sort((a, b) => a.start - b.start);
+  return segments.filter((segment, index) => index === 0 || segment.take !== segments[index - 1].take);
+}
+
+function applyTakes(event, { takes, comp, duration }) {
+  event.takes = takes;
+  event.comp = comp;
+  event.duration = duration;
+  event.buffer = buildCompBuffer(takes, comp);
+}
+
+// Replace a clip's comp as one undo step
+function setComp(event, comp, label) {
+  const before = { takes: event.takes, comp: event.comp, duration: event.duration };
+  executeCommand({
+    label,
+    do: () => applyTakes(event, { ...before, comp }),
+    undo: () => applyTakes(event, before)
+  });
+}
+
+// Add recorded takes to the track. Takes recorded from where a take clip
+// already starts join that clip; the newest full-length take is comped in.
+function addTakes(track, startTicks, buffers) {
+  const clip = track.events.find(event => event.takes && positionToTicks(event.position) === startTicks);
+  const offset = clip ? clip.offset : 0;
+  const added = buffers.map(buffer => ({
+    buffer: offset > 0 ? sliceAudioBuffer(buffer, -offset, buffer.duration + offset) : buffer
+  }));
+  const longest = getCompLength(added);
+  const newest = added.findLastIndex(take => take.buffer.duration >= longest - 1 / take.buffer.sampleRate);
+  
+  if (!clip) {
+    const comp = [{ start: 0, take: newest }];
+    addSampleEvent(track, {
+      sampleId: null,
+      buffer: buildCompBuffer(added, comp),
+      position: ticksToPosition(startTicks),
+      name: 'recorded',
+      volume: 0.8,
+      duration: longest,
+      ...CLIP_DEFAULTS,
+      takes: added,
+      comp
+    });
+    return;
+  }
+  
+  const before = { takes: clip.takes, comp: clip.comp, duration: clip.duration };
+  const after = {
+    takes: [...clip.takes, ...added],
+    comp: [{ start: 0, take: clip.takes.length + newest }],
+    duration: Math.max(clip.duration, longest - offset)
+  };
+  executeCommand({
+    label: 'Add Takes',
+    do: () => applyTakes(clip, after),
+    undo: () => applyTakes(clip, before)
+  });
+}
+
+// The take lanes shown under a track for one of its clips: a take's star
+// comps all of it, dragging across a lane comps that stretch from it
+function renderTakeLanes(event, totalTicks) {
+  const panel = document.createElement('div');
+  panel.className = 'take-lanes';
+  panel.innerHTML = `
+    <div class="take-lanes-header">
+      <span>🎙️ Takes of ${event.name} @ ${formatPosition(event.position)}</span>
+      <button class="take-lanes-close" title="Close">✕</button>
+    </div>
+  `;
+  panel.querySelector('.take-lanes-close').addEventListener('click', () => {
+    openTakeClips.delete(event);
+    renderTracks();
+  });
+  
+  // Takes are timed from the start of the audio, which the clip offset trims
+  const clipStartSeconds = eventStartSeconds(event);
+  const toPercent = seconds => secondsToTicks(clipStartSeconds + seconds - event.offset) / totalTicks * 100;
+  const sections = getCompSections(event.takes, event.comp);
+  
+  event.takes.forEach((take, index) => {
+    const whole = event.comp.length === 1 && event.comp[0].take === index;
+    const laneEl = document.createElement('div');
+    laneEl.className = 'take-lane';
+    laneEl.innerHTML = `
+      <div class="take-lane-header">
+        <span>Take ${index + 1}</span>
+        <button class="take-use${whole ? ' active' : ''}" title="Use the Whole Take">${whole ? '★' : '☆'}</button>
+      </div>
+      <div class="take-area" title="Drag across the take to comp that part from it">
+        <div class="take-region"></div>
+      </div>
+    `;
+    const area = laneEl.querySelector('.take-area');
+    const region = laneEl.querySelector('.take-region');
+    region.style.left = `${toPercent(0)}%`;
+    region.style.width = `${toPercent(take.buffer.duration) - toPercent(0)}%`;
+    
+    sections.filter(section => section.take === index).forEach(({ start, end }) => {
+      const sectionEl = document.createElement('div');
+      sectionEl.className = 'take-comped';
+      sectionEl.style.left = `${toPercent(start)}%`;
+      sectionEl.style.width = `${toPercent(end) - toPercent(start)}%`;
+      area.appendChild(sectionEl);
+    });
+    
+    laneEl.querySelector('.take-use').addEventListener('click', () => {
+      if (!whole) setComp(event, [{ start: 0, take: index }], 'Use Take');
+    });
+    
+    const secondsFromMouse = e => {
+      const rect = area.getBoundingClientRect();
+      const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      return ticksToSeconds(snapTicks(x * totalTicks)) - clipStartSeconds + event.offset;
+    };
+    area.addEventListener('mousedown', e => {
+      if (e.button !== 0) return;
+      e.preventDefault();
+      const anchor = secondsFromMouse(e);
+      const swipe = document.createElement('div');
+      swipe.className = 'take-swipe';
+      area.appendChild(swipe);
+      let range = [anchor, anchor];
+      const move = moveEvent => {
+        const seconds = secondsFromMouse(moveEvent);
+        range = [Math.min(anchor, seconds), Math.max(anchor, seconds)];
+        swipe.style.left = `${toPercent(range[0])}%`;
+        swipe.style.width = `${toPercent(range[1]) - toPercent(range[0])}%`;
+      };
+      const release = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', release);
+        swipe.remove();
+        const comp = compRange(event.takes, event.comp, range[0], range[1], index);
+        if (JSON.stringify(comp) !== JSON.stringify(event.comp)) {
+          setComp(event, comp, 'Comp Take');
+        }
+      };
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', release);
+    });
+    
+    panel.appendChild(laneEl);
+  });
+  return panel;
+}
+
+// Download functionality
+// Renders the mix of audible tracks over a bar range (the whole song by
+// default), repeated `repetitions` times, and downloads it as WAV.
+// `encoding` holds encodeWav() options plus the target sampleRate.
+async function downloadSong({ startBar = 0, endBar, repetitions = 1, encoding = {}, onProgress } = {}) {
+  initAudioContext();
+  
+  const songBars = ticksToBars(getTimelineTicks());
+  const rangeStart = ticksToSeconds(barToTicks(startBar));
+  const rangeEnd = ticksToSeconds(barToTicks(endBar ?? songBars));
+  
+  // Rendering straight at the target rate avoids a separate resampling pass
+  const buffer = await renderTracksOffline(getAudibleTracks(), {
+    rangeStart,
+    rangeEnd,
+    repetitions,
+    sampleRate: encoding.sampleRate,
+    onProgress
+  });
+  
+  // Integer WAV samples are clamped, so let the user know the mix clips
+  const peak = getPeak(Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel)));
+  if (peak > 1 && (encoding.normalize || 'none') === 'none') {
+    showNotification(`The mix peaks at +${(20 * Math.log10(peak)).toFixed(1)} dBFS and clips in the file. Turn down the master or enable the limiter.`, 'error');
+  }
+  
+  // Convert to WAV and download
+  const wav = await encodeWavFile(buffer, { ...encoding, metadata: { ...encoding.metadata, bpm } });
+  const blob = new Blob([wav], { type: 'audio/wav' });
+  downloadBlob(blob, `music-maker-${Date.now()}.wav`);
+}
+
+// Render every non-empty track on its own over the same range, so the stems
+// line up, and download them together as a ZIP of WAV files. Stems are taken
+// before mute, solo and the master, and the send returns come as stems of
+// their own, so the stems of the audible tracks sum back to the mix before
+// the master. They are never normalized, which would throw off their
+// relative levels.
+async function downloadStems({ startBar = 0, endBar, repetitions = 1, encoding = {}, onProgress } = {}) {
+  initAudioContext();
+  
+  const songBars = ticksToBars(getTimelineTicks());
+  const rangeStart = ticksToSeconds(barToTicks(startBar));
+  const rangeEnd = ticksToSeconds(barToTicks(endBar ?? songBars));
+  const audibleTracks = getAudibleTracks();
+  const stems = [
+    ...tracks
+      .filter(track => track.events.length > 0)
+      .map(track => ({ name: getTrackName(track), trackList: [track], stem: 'track' })),
+    ...MIX_SENDS
+      .filter(bus => mixer.returns[bus] > 0 && audibleTracks.some(track => track.events.length > 0 && track.sends[bus] > 0))
+      .map(bus => ({ name: MIX_RETURN_NAMES[bus], trackList: audibleTracks, stem: bus }))
+  ];
+  const usedNames = new Set();
+  const files = [];
+  
+  for (let i = 0; i < stems.length; i++) {
+    const { name, trackList, stem } = stems[i];
+    const buffer = await renderTracksOffline(trackList, {
+      rangeStart,
+      rangeEnd,
+      repetitions,
+      sampleRate: encoding.sampleRate,
+      stem,
+      onProgress: onProgress && (fraction => onProgress((i + fraction) / stems.length))
+    });
+    
+    files.push({
+      name: uniqueFileName(`${name}.wav`, usedNames),
+      data: await encodeWavFile(buffer, {
+        ...encoding,
+        normalize: 'none',
+        metadata: { ...encoding.metadata, title: name, bpm }
+      })
+    });
+  }
+  
+  downloadBlob(createZip(files), `music-maker-stems-${Date.now()}.zip`);
+}
+
+// Display name of a track
+function getTrackName(track) {
+  return track.name;
+}
+
+// Make a file name safe for archives and unique within `usedNames`
+function uniqueFileName(name, usedNames) {
+  const safe = name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'untitled';
+  const dot = safe.lastIndexOf('.');
+  const base = dot > 0 ? safe.slice(0, dot) : safe;
+  const extension = dot > 0 ? safe.slice(dot) : '';
+  
+  let candidate = safe;
+  for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+    candidate = `${base} (${n})${extension}`;
+  }
+  usedNames.add(candidate.toLowerCase());
+  return candidate;
+}
+
+// Format seconds as m:ss
+function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// Show export options: bar range, repetitions and render progress
+function openExportDialog() {
+  if (!tracks.some(track => track.events.length > 0)) {
+    alert('Nothing to export yet. Add some instruments first!');
+    return;
+  }
+  
+  const songBars = ticksToBars(getTimelineTicks());
+  const modal = openModal('💾 Export Song');
+  modal.body.innerHTML = `
+    <div class="export-form">
+      <label class="form-row">
+        <span>Export</span>
+        <select class="export-mode">
+          <option value="mixdown">Stereo mixdown (WAV)</option>
+          <option value="stems">Stems, one WAV per track (ZIP)</option>
+        </select>
+      </label>
+      <label class="form-row">
+        <span>From bar</span>
+        <input type="number" class="export-start" min="1" max="${songBars}" value="1">
+      </label>
+      <label class="form-row">
+        <span>To bar</span>
+        <input type="number" class="export-end" min="1" max="${songBars}" value="${songBars}">
+      </label>
+      <label class="form-row">
+        <span>Repetitions</span>
+        <input type="number" class="export-repetitions" min="1" max="16" value="1">
+      </label>
+      <label class="form-row">
+        <span>Format</span>
+        <select class="export-format">
+          <option value="pcm16">16-bit PCM</option>
+          <option value="pcm24">24-bit PCM</option>
+          <option value="float32">32-bit float</option>
+        </select>
+      </label>
+      <label class="form-row">
+        <span>Sample rate</span>
+        <select class="export-sample-rate">
+          <option value="44100">44.1 kHz</option>
+          <option value="48000">48 kHz</option>
+          <option value="96000">96 kHz</option>
+        </select>
+      </label>
+      <label class="form-row">
+        <span>Dither</span>
+        <input type="checkbox" class="export-dither" checked>
+      </label>
+      <label class="form-row">
+        <span>Normalize</span>
+        <select class="export-normalize">
+          <option value="none">Off</option>
+          <option value="peak">Peak to -1 dBFS</option>
+          <option value="lufs">Loudness to -14 LUFS</option>
+        </select>
+      </label>
+      <label class="form-row">
+        <span>Title</span>
+        <input type="text" class="export-title" placeholder="Untitled">
+      </label>
+      <label class="form-row">
+        <span>Artist</span>
+        <input type="text" class="export-artist">
+      </label>
+      <p class="export-summary"></p>
+      <progress class="export-progress" max="1" value="0" hidden></progress>
+      <div class="modal-actions">
+        <button class="export-render">💾 Render</button>
+      </div>
+    </div>
+  `;
+  
+  const modeSelect = modal.body.querySelector('.export-mode');
+  const startInput = modal.body.querySelector('.export-start');
+  const endInput = modal.body.querySelector('.export-end');
+  const repetitionsInput = modal.body.querySelector('.export-repetitions');
+  const formatSelect = modal.body.querySelector('.export-format');
+  const sampleRateSelect = modal.body.querySelector('.export-sample-rate');
+  const ditherInput = modal.body.querySelector('.export-dither');
+  const normalizeSelect = modal.body.querySelector('.export-normalize');
+  const summary = modal.body.querySelector('.export-summary');
+  const progress = modal.body.querySelector('.export-progress');
+  const renderBtn = modal.body.querySelector('.export-render');
+  
+  const readOptions = () => {
+    const startBar = Math.max(1, Math.min(songBars, parseInt(startInput.value) || 1));
+    const endBar = Math.max(startBar, Math.min(songBars, parseInt(endInput.value) || songBars));
+    const repetitions = Math.max(1, Math.min(16, parseInt(repetitionsInput.value) || 1));
+    const encoding = {
+      format: formatSelect.value,
+      sampleRate: parseInt(sampleRateSelect.value),
+      dither: ditherInput.checked,
+      normalize: normalizeSelect.value,
+      metadata: {
+        title: modal.body.querySelector('.export-title').value.trim(),
+        artist: modal.body.querySelector('.export-artist').value.trim()
+      }
+    };
+    return { startBar: startBar - 1, endBar, repetitions, encoding };
+  };
+  
+  const updateSummary = () => {
+    const { startBar, endBar, repetitions } = readOptions();
+    const length = (ticksToSeconds(barToTicks(endBar)) - ticksToSeconds(barToTicks(startBar))) * repetitions;
+    const tempo = tempoMap.tempos.length > 0 ? `from ${bpm} BPM` : `at ${bpm} BPM`;
+    summary.textContent = `Bars ${startBar + 1}–${endBar} × ${repetitions} ${tempo} = ${formatDuration(length)}`;
+  };
+  [startInput, endInput, repetitionsInput].forEach(input => input.addEventListener('input', updateSummary));
+  updateSummary();
+  
+  // Float output keeps every bit, so there is nothing to dither
+  formatSelect.addEventListener('change', () => {
+    ditherInput.disabled = formatSelect.value === 'float32';
+  });
+  
+  // Stems keep their relative levels, so normalization is mixdown-only
+  modeSelect.addEventListener('change', () => {
+    normalizeSelect.disabled = modeSelect.value === 'stems';
+  });
+  
+  renderBtn.addEventListener('click', async () => {
+    renderBtn.disabled = true;
+    progress.hidden = false;
+    
+    try {
+      const exportFn = modeSelect.value === 'stems' ? downloadStems : downloadSong;
+      await exportFn({
+        ...readOptions(),
+        onProgress: fraction => {
+          progress.value = fraction;
+          renderBtn.textContent = `⏳ Rendering ${Math.round(fraction * 100)}%`;
+        }
+      });
+      modal.close();
+    } catch (error) {
+      console.error('Error rendering song:', error);
+      alert(`Could not render the song: ${error.message}`);
+      renderBtn.disabled = false;
+      renderBtn.textContent = '💾 Render';
+    }
+  });
+}
+
+// ZIP archive writer
+// Files are stored uncompressed (WAV barely compresses anyway), which keeps
+// the writer small and entirely offline.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Build a ZIP blob from [{ name, data }] where data is an ArrayBuffer
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+  
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const data = new Uint8Array(file.data);
+    const crc = crc32(data);
+    
+    // Local file header
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034B50, true);
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(6, 0x0800, true); // UTF-8 file names
+    header.setUint16(8, 0, true); // Stored, no compression
+    header.setUint16(10, dosTime, true);
+    header.setUint16(12, dosDate, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+    parts.push(header.buffer, nameBytes, data);
+    
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);
+    entry.setUint16(4, 20, true); // Version made by
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, nameBytes.length, true);
+    entry.setUint32(42, offset, true); // Offset of the local header
+    centralDirectory.push(entry.buffer, nameBytes);
+    
+    offset += 30 + nameBytes.length + data.length;
+  });
+  
+  const directorySize = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, directorySize, true);
+  end.setUint32(16, offset, true);
+  
+  return new Blob([...parts, ...centralDirectory, end.buffer], { type: 'application/zip' });
+}
+
+// Trigger a browser download for a blob
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+const NOTIFICATION_DURATION = 8000; // ms a notification stays on screen
+
+// Show a short message in the corner of the screen. Used for problems found
+// in the background, such as a sample that fails to decode, where an alert()
+// would interrupt whatever the user is doing.
+function showNotification(message, type = 'info') {
+  let container = document.querySelector('.notifications');
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'notifications';
+    document.body.appendChild(container);
+  }
+  
+  const notification = document.createElement('div');
+  notification.className = `notification ${type}`;
+  notification.textContent = message;
+  notification.title = 'Click to dismiss';
+  notification.addEventListener('click', () => notification.remove());
+  container.appendChild(notification);
+  
+  setTimeout(() => notification.remove(), NOTIFICATION_DURATION);
+}
+
+// Show a modal dialog and return its body element plus a close function
+function openModal(title, { onClose } = {}) {
+  const overlay = document.createElement('div');
+  overlay.className = 'modal-overlay';
+  overlay.innerHTML = `
+    <div class="modal" role="dialog" aria-modal="true">
+      <div class="modal-header">
+        <h3></h3>
+        <button class="modal-close" title="Close">×</button>
+      </div>
+      <div class="modal-body"></div>
+    </div>
+  `;
+  overlay.querySelector('h3').textContent = title;
+  
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    overlay.remove();
+    if (onClose) onClose();
+  };
+  
+  overlay.querySelector('.modal-close').addEventListener('click', close);
+  overlay.addEventListener('click', e => {
+    if (e.target === overlay) close();
+  });
+  
+  document.body.appendChild(overlay);
+  return { body: overlay.querySelector('.modal-body'), close };
+}
+
+// Synth engine
+// Built-in pitched instruments are played live by a voice of oscillators
+// through a low-pass filter and an ADSR envelope, so a note sustains for as
+// long as it is held. A samples/<id>.wav file, when present, still replaces
+// the synth. Each track can change the settings of any instrument; unchanged
+// instruments use their preset.
+const SYNTH_WAVEFORMS = ['sine', 'triangle', 'sawtooth', 'square'];
+
+// Presets matching the sounds createSyntheticBuffer() used to bake
+const SYNTH_PRESETS = {
+  bass1: { waveform: 'sine', unison: 1, detune: 0, cutoff: 2000, resonance: 1, attack: 0.005, decay: 0.8, sustain: 0.6, release: 0.15, level: 0.9 },
+  bass2: { waveform: 'sine', unison: 1, detune: 0, cutoff: 2000, resonance: 1, attack: 0.005, decay: 1.2, sustain: 0.55, release: 0.2, level: 0.9 },
+  subbass: { waveform: 'sine', unison: 1, detune: 0, cutoff: 400, resonance: 0.7, attack: 0.01, decay: 1.5, sustain: 0.8, release: 0.25, level: 1 },
+  synthbass: { waveform: 'sawtooth', unison: 2, detune: 8, cutoff: 700, resonance: 4, attack: 0.005, decay: 0.6, sustain: 0.5, release: 0.12, level: 0.7 },
+  lead: { waveform: 'sine', unison: 1, detune: 0, cutoff: 8000, resonance: 1, attack: 0.01, decay: 2, sustain: 0.5, release: 0.2, level: 0.8 },
+  pad: { waveform: 'sine', unison: 3, detune: 12, cutoff: 3000, resonance: 0.7, attack: 0.4, decay: 0.5, sustain: 0.9, release: 0.8, level: 0.5 },
+  pluck: { waveform: 'triangle', unison: 1, detune: 0, cutoff: 5000, resonance: 1, attack: 0.002, decay: 0.25, sustain: 0, release: 0.05, level: 0.9 },
+  arp: { waveform: 'sine', unison: 2, detune: 6, cutoff: 6000, resonance: 1, attack: 0.005, decay: 1.5, sustain: 0.3, release: 0.1, level: 0.7 },
+  vocal: { waveform: 'sine', unison: 1, detune: 0, cutoff: 4000, resonance: 1, attack: 0.01, decay: 1, sustain: 0.3, release: 0.2, level: 0.8 },
+  fx: { waveform: 'triangle', unison: 4, detune: 30, cutoff: 5000, resonance: 6, attack: 0.01, decay: 1, sustain: 0.3, release: 0.3, level: 0.6 }
+};
+
+// Sliders in the instrument panel
+const SYNTH_PARAMS = [
+  { key: 'level', label: 'Level', min: 0, max: 1, step: 0.01 },
+  { key: 'unison', label: 'Unison voices', min: 1, max: 7, step: 1 },
+  { key: 'detune', label: 'Unison detune (cents)', min: 0, max: 50, step: 1 },
+  { key: 'cutoff', label: 'Filter cutoff (Hz)', min: 40, max: 12000, step: 10 },
+  { key: 'resonance', label: 'Resonance', min: 0.1, max: 20, step: 0.1 },
+  { key: 'attack', label: 'Attack (s)', min: 0, max: 2, step: 0.005 },
+  { key: 'decay', label: 'Decay (s)', min: 0, max: 3, step: 0.01 },
+  { key: 'sustain', label: 'Sustain', min: 0, max: 1, step: 0.01 },
+  { key: 'release', label: 'Release (s)', min: 0, max: 3, step: 0.01 }
+];
+
+// Synth settings for a hit on a track, or null if the hit plays audio
+function getSynthPatch(track, hit) {
+  const preset = SYNTH_PRESETS[hit.sampleId];
+  if (!preset || sampleRegistry.get(hit.sampleId)?.origin !== 'synthetic') {
+    return null;
+  }
+  return track.synth?.[hit.sampleId] || preset;
+}
+
+// Schedule a synth voice for a hit, trimmed to the range like scheduleEvent().
+// A note already sounding when the range starts is retriggered there.
+function scheduleSynthVoice(ctx, destination, hit, patch, { passStart, rangeStart, rangeEnd }) {
+  const eventStart = eventStartSeconds(hit);
+  const eventEnd = eventStart + hit.duration;
+  if (eventStart >= rangeEnd || eventEnd <= rangeStart) {
+    return null;
+  }
+  
+  return playSynthVoice(ctx, destination, patch, {
+    pitch: hit.pitch ?? getSampleInfo(hit.sampleId).rootNote,
+    velocity: hit.volume,
+    start: passStart + Math.max(0, eventStart - rangeStart),
+    length: Math.min(eventEnd, rangeEnd) - Math.max(eventStart, rangeStart)
+  });
+}
+
+// Play one note: `length` seconds held from `start`, then the release.
+// Returns an object with stop() and onended like a buffer source.
+function playSynthVoice(ctx, destination, patch, { pitch, velocity, start, length }) {
+  const filter = ctx.createBiquadFilter();
+  const amp = ctx.createGain();
+  filter.type = 'lowpass';
+  filter.frequency.value = patch.cutoff;
+  filter.Q.value = patch.resonance;
+  filter.connect(amp);
+  amp.connect(destination);
+  
+  // Unison voices add up, so each is scaled down to keep the level even
+  const peak = velocity * patch.level / Math.sqrt(patch.unison);
+  scheduleEnvelope(amp.gain, patch, peak, start, length);
+  
+  const end = start + length + Math.max(0.001, patch.release);
+  const oscillators = [];
+  for (let voice = 0; voice < patch.unison; voice++) {
+    const oscillator = ctx.createOscillator();
+    oscillator.type = patch.waveform;
+    oscillator.frequency.value = midiToFrequency(pitch);
+    // Spread unison voices evenly across +/- detune cents
+    oscillator.detune.value = patch.unison > 1 ? patch.detune * (2 * voice / (patch.unison - 1) - 1) : 0;
+    oscillator.connect(filter);
+    oscillator.start(start);
+    oscillator.stop(end);
+    oscillators.push(oscillator);
+  }
+  
+  const voice = {
+    stop: () => oscillators.forEach(oscillator => {
+      try {
+        oscillator.stop();
+      } catch (e) {
+        // Oscillator may already be stopped
+      }
+    })
+  };
+  // The oscillators all end together, and the voice reports it like a source
+  oscillators[0].onended = () => voice.onended?.();
+  return voice;
+}
+
+// ADSR on a gain param: rise to `peak` over the attack, fall to the sustain
+// level over the decay, hold until the note ends, then fade out over the
+// release. A note shorter than attack + decay is released from wherever the
+// envelope got to.
+function scheduleEnvelope(param, patch, peak, start, length) {
+  const attack = Math.max(0.001, patch.attack);
+  const decay = Math.max(0.001, patch.decay);
+  const sustain = peak * patch.sustain;
+  const levelAt = time => {
+    if (time < attack) return peak * time / attack;
+    if (time < attack + decay) return peak + (sustain - peak) * (time - attack) / decay;
+    return sustain;
+  };
+  
+  param.setValueAtTime(0, start);
+  if (attack < length) {
+    param.linearRampToValueAtTime(peak, start + attack);
+  }
+  if (attack + decay < length) {
+    param.linearRampToValueAtTime(sustain, start + attack + decay);
+  }
+  param.linearRampToValueAtTime(levelAt(length), start + length);
+  param.linearRampToValueAtTime(0, start + length + Math.max(0.001, patch.release));
+}
+
+// Per-track instrument panel: synth settings for each built-in instrument
+function openInstrumentPanel(track) {
+  // Start on the first synth instrument the track uses
+  const usedIds = track.events.map(event => event.sampleId).filter(id => SYNTH_PRESETS[id]);
+  let sampleId = usedIds[0] || 'lead';
+  let preview = null;
+  
+  const modal = openModal('🎛️ Instrument', { onClose: () => { activeEditor = null; } });
+  modal.body.innerHTML = `
+    <label class="form-row">
+      <span>Instrument</span>
+      <select class="synth-instrument">
+        ${Object.keys(SYNTH_PRESETS).map(id => `<option value="${id}">${id}</option>`).join('')}
+      </select>
+    </label>
+    <label class="form-row">
+      <span>Load preset</span>
+      <select class="synth-preset">
+        <option value="">Choose…</option>
+        ${Object.keys(SYNTH_PRESETS).map(id => `<option value="${id}">${id}</option>`).join('')}
+      </select>
+    </label>
+    <label class="form-row">
+      <span>Waveform</span>
+      <select class="synth-waveform">
+        ${SYNTH_WAVEFORMS.map(waveform => `<option value="${waveform}">${waveform}</option>`).join('')}
+      </select>
+    </label>
+    <div class="synth-params"></div>
+    <p class="export-summary"></p>
+    <div class="modal-actions">
+      <button class="synth-reset">↺ Reset to Preset</button>
+      <button class="synth-preview">▶️ Preview</button>
+    </div>
+  `;
+  
+  const instrumentSelect = modal.body.querySelector('.synth-instrument');
+  const presetSelect = modal.body.querySelector('.synth-preset');
+  const waveformSelect = modal.body.querySelector('.synth-waveform');
+  const paramsEl = modal.body.querySelector('.synth-params');
+  const summary = modal.body.querySelector('.export-summary');
+  // Edits replace the track's own copy of the settings, so undoing the
+  // first one goes back to the preset
+  const getPatch = () => track.synth[sampleId] || SYNTH_PRESETS[sampleId];
+  
+  instrumentSelect.addEventListener('change', () => {
+    sampleId = instrumentSelect.value;
+    render();
+  });
+  
+  presetSelect.addEventListener('change', () => {
+    if (presetSelect.value) {
+      setProperty(track.synth, sampleId, { ...SYNTH_PRESETS[presetSelect.value] }, 'Load Preset');
+    }
+  });
+  
+  waveformSelect.addEventListener('change', () => {
+    setProperty(track.synth, sampleId, { ...getPatch(), waveform: waveformSelect.value }, 'Waveform');
+  });
+  
+  SYNTH_PARAMS.forEach(param => {
+    const row = document.createElement('label');
+    row.className = 'form-row';
+    row.innerHTML = `
+      <span></span>
+      <input type="range" min="${param.min}" max="${param.max}" step="${param.step}">
+    `;
+    const slider = row.querySelector('input');
+    slider.dataset.key = param.key;
+    
+    // Like bindSliderToHistory(), but undo must change the instrument that
+    // was edited even if another one is shown by then
+    let edit = null; // { id, before } while dragging
+    slider.addEventListener('input', () => {
+      if (!edit) {
+        edit = { id: sampleId, before: track.synth[sampleId] };
+      }
+      const value = parseFloat(slider.value);
+      track.synth[edit.id] = { ...(edit.before || SYNTH_PRESETS[edit.id]), [param.key]: value };
+      slider.previousElementSibling.textContent = `${param.label}: ${value}`;
+      scheduleAutosave();
+    });
+    slider.addEventListener('change', () => {
+      if (!edit) return;
+      const { id, before } = edit;
+      const after = track.synth[id];
+      edit = null;
+      if ((before || SYNTH_PRESETS[id])[param.key] === after[param.key]) {
+        track.synth[id] = before;
+        return;
+      }
+      
+      recordCommand({
+        label: param.label,
+        do: () => { track.synth[id] = after; },
+        undo: () => { track.synth[id] = before; }
+      });
+    });
+    paramsEl.appendChild(row);
+  });
+  
+  modal.body.querySelector('.synth-reset').addEventListener('click', () => {
+    setProperty(track.synth, sampleId, undefined, 'Reset Instrument');
+  });
+  
+  modal.body.querySelector('.synth-preview').addEventListener('click', () => {
+    initAudioContext();
+    if (preview) {
+      preview.stop();
+    }
+    preview = playSynthVoice(audioCtx, audioCtx.destination, getPatch(), {
+      pitch: sampleData[sampleId].rootNote,
+      velocity: track.volume,
+      start: audioCtx.currentTime,
+      length: 1
+    });
+  });
+  
+  const render = () => {
+    const patch = getPatch();
+    instrumentSelect.value = sampleId;
+    presetSelect.value = '';
+    waveformSelect.value = patch.waveform;
+    paramsEl.querySelectorAll('input').forEach(slider => {
+      const param = SYNTH_PARAMS.find(p => p.key === slider.dataset.key);
+      slider.value = patch[param.key];
+      slider.previousElementSibling.textContent = `${param.label}: ${patch[param.key]}`;
+    });
+    
+    const origin = sampleRegistry.get(sampleId)?.origin;
+    summary.textContent = origin === 'synthetic'
+      ? `${track.synth[sampleId] ? 'Edited on this track' : 'Preset settings'}. Notes sustain for as long as they are held.`
+      : `samples/${sampleId}.wav replaces the synth for this instrument, so these settings are not used.`;
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// Track effects
+// Each track has a chain of insert effects, stored on the track as
+// [{ type, bypass, params }] in signal order. The chain is built into every
+// graph createTrackGraphs() makes, live or offline, and sits on the channel
+// strip, so applyMixSettings() brings it up to date with every edit.
+const EFFECT_TYPES = {
+  eq: {
+    label: 'EQ',
+    params: [
+      { key: 'low', label: 'Low (dB)', min: -24, max: 24, step: 0.5, value: 0, automate: true },
+      { key: 'mid', label: 'Mid (dB)', min: -24, max: 24, step: 0.5, value: 0, automate: true },
+      { key: 'midFrequency', label: 'Mid frequency (Hz)', min: 200, max: 5000, step: 10, value: 1000, automate: true },
+      { key: 'high', label: 'High (dB)', min: -24, max: 24, step: 0.5, value: 0, automate: true }
+    ]
+  },
+  compressor: {
+    label: 'Compressor',
+    params: [
+      { key: 'threshold', label: 'Threshold (dB)', min: -60, max: 0, step: 1, value: -24, automate: true },
+      { key: 'ratio', label: 'Ratio', min: 1, max: 20, step: 0.5, value: 4, automate: true },
+      { key: 'knee', label: 'Knee (dB)', min: 0, max: 40, step: 1, value: 6 },
+      { key: 'attack', label: 'Attack (s)', min: 0, max: 1, step: 0.001, value: 0.003 },
+      { key: 'release', label: 'Release (s)', min: 0, max: 1, step: 0.01, value: 0.25 },
+      { key: 'makeup', label: 'Makeup (dB)', min: 0, max: 24, step: 0.5, value: 0 }
+    ]
+  },
+  delay: {
+    label: 'Delay',
+    params: [
+      { key: 'time', label: 'Time (s)', min: 0.01, max: 2, step: 0.01, value: 0.375, automate: true },
+      { key: 'feedback', label: 'Feedback', min: 0, max: 0.95, step: 0.01, value: 0.35, automate: true },
+      { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+    ]
+  },
+  reverb: {
+    label: 'Reverb',
+    params: [
+      { key: 'decay', label: 'Decay (s)', min: 0.1, max: 8, step: 0.1, value: 2 },
+      { key: 'preDelay', label: 'Pre-delay (s)', min: 0, max: 0.2, step: 0.005, value: 0.01 },
+      { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+    ]
+  },
+  distortion: {
+    label: 'Distortion',
+    params: [
+      { key: 'drive', label: 'Drive', min: 1, max: 50, step: 0.5, value: 5 },
+      { key: 'tone', label: 'Tone (Hz)', min: 500, max: 12000, step: 10, value: 6000, automate: true },
+      { key: 'mix', label: 'Mix', min: 0, max: 1, step: 0.01, value: 1 }
+    ]
+  },
+  filter: {
+    label: 'Filter',
+    params: [
+      { key: 'type', label: 'Type', options: ['lowpass', 'highpass', 'bandpass', 'notch'], value: 'lowpass' },
+      { key: 'frequency', label: 'Frequency (Hz)', min: 20, max: 20000, step: 10, value: 2000, automate: true },
+      { key: 'resonance', label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 1, automate: true }
+    ]
+  }
+};
+
+const EFFECT_MAX_DELAY = 2; // Seconds, the top of the delay time slider
+
+function newEffect(type) {
+  const params = {};
+  EFFECT_TYPES[type].params.forEach(param => {
+    params[param.key] = param.value;
+  });
+  return { id: createEffectId(), type, bypass: false, params };
+}
+
+// Automation lanes refer to an effect by id, so the chain can be reordered
+function createEffectId() {
+  return `effect-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Build a track's effect chain into a context, ending at `destination`.
+// Events connect to the chain's `input`; `params` holds the automatable
+// AudioParams keyed by automation target, '<effect id>.<param>'. The chain
+// is kept in line with the track's effects by updateEffectChain().
+function createEffectChain(ctx, track, destination) {
+  const chain = { ctx, track, destination, input: ctx.createGain(), active: [], nodes: new Map(), params: {} };
+  updateEffectChain(chain);
+  return chain;
+}
+
+// Rewire an effect chain when effects were added, removed, moved or
+// bypassed, and set every parameter that automation does not drive
+function updateEffectChain(chain) {
+  const { ctx, track } = chain;
+  const active = track.effects.filter(effect => !effect.bypass);
+  const created = new Set();
+  
+  if (active.length !== chain.active.length || active.some((effect, index) => effect !== chain.active[index])) {
+    chain.input.disconnect();
+    chain.nodes.forEach(node => node.output.disconnect());
+    
+    // Effects that stay keep their nodes, and with them what is ringing in them
+    const nodes = new Map();
+    active.forEach(effect => {
+      if (!chain.nodes.has(effect)) {
+        created.add(effect);
+      }
+      nodes.set(effect, chain.nodes.get(effect) || createEffectNode(ctx, effect.type));
+    });
+    
+    let output = chain.input;
+    chain.params = {};
+    active.forEach(effect => {
+      const node = nodes.get(effect);
+      output.connect(node.input);
+      output = node.output;
+      Object.entries(node.params).forEach(([key, param]) => {
+        chain.params[`${effect.id}.${key}`] = param;
+      });
+    });
+    output.connect(chain.destination);
+    chain.active = active;
+    chain.nodes = nodes;
+  }
+  
+  active.forEach(effect => {
+    const node = chain.nodes.get(effect);
+    node.update(effect.params);
+    // Setting an automated param would cut into its scheduled automation
+    Object.entries(node.params).forEach(([key, param]) => {
+      if (created.has(effect) || !isAutomated(track, `${effect.id}.${key}`)) {
+        param.value = effect.params[key];
+      }
+    });
+  });
+}
+
+// Audio nodes for one effect as { input, output, params, update }. `params`
+// are the AudioParams of the parameters marked `automate`, which take their
+// values directly; update() sets everything else from the effect's params.
+function createEffectNode(ctx, type) {
+  if (type === 'eq') {
+    const low = ctx.createBiquadFilter();
+    const mid = ctx.createBiquadFilter();
+    const high = ctx.createBiquadFilter();
+    low.type = 'lowshelf';
+    low.frequency.value = 250;
+    mid.type = 'peaking';
+    mid.Q.value = 1;
+    high.type = 'highshelf';
+    high.frequency.value = 4000;
+    low.connect(mid);
+    mid.connect(high);
+    return {
+      input: low,
+      output: high,
+      params: { low: low.gain, mid: mid.gain, midFrequency: mid.frequency, high: high.gain },
+      update: () => {}
+    };
+  }
+  
+  if (type === 'compressor') {
+    const compressor = ctx.createDynamicsCompressor();
+    const makeup = ctx.createGain();
+    compressor.connect(makeup);
+    return {
+      input: compressor,
+      output: makeup,
+      params: { threshold: compressor.threshold, ratio: compressor.ratio },
+      update: params => {
+        compressor.knee.value = params.knee;
+        compressor.attack.value = params.attack;
+        compressor.release.value = params.release;
+        makeup.gain.value = dbToGain(params.makeup);
+      }
+    };
+  }
+  
+  if (type === 'delay') {
+    const delay = ctx.createDelay(EFFECT_MAX_DELAY);
+    const feedback = ctx.createGain();
+    delay.connect(feedback);
+    feedback.connect(delay);
+    const wetDry = createWetDry(ctx, delay, delay);
+    return {
+      input: wetDry.input,
+      output: wetDry.output,
+      params: { time: delay.delayTime, feedback: feedback.gain },
+      update: params => wetDry.setMix(params.mix)
+    };
+  }
+  
+  if (type === 'reverb') {
+    const preDelay = ctx.createDelay(1);
+    const convolver = ctx.createConvolver();
+    preDelay.connect(convolver);
+    const wetDry = createWetDry(ctx, preDelay, convolver);
+    let decay = null;
+    return {
+      input: wetDry.input,
+      output: wetDry.output,
+      params: {},
+      update: params => {
+        preDelay.delayTime.value = params.preDelay;
+        // The impulse takes a while to make, so only when the decay changes
+        if (params.decay !== decay) {
+          decay = params.decay;
+          convolver.buffer = createReverbImpulse(ctx, decay);
+        }
+        wetDry.setMix(params.mix);
+      }
+    };
+  }
+  
+  if (type === 'distortion') {
+    const shaper = ctx.createWaveShaper();
+    const tone = ctx.createBiquadFilter();
+    shaper.oversample = '4x';
+    tone.type = 'lowpass';
+    shaper.connect(tone);
+    const wetDry = createWetDry(ctx, shaper, tone);
+    let drive = null;
+    return {
+      input: wetDry.input,
+      output: wetDry.output,
+      params: { tone: tone.frequency },
+      update: params => {
+        if (params.drive !== drive) {
+          drive = params.drive;
+          shaper.curve = createDistortionCurve(drive);
+        }
+        wetDry.setMix(params.mix);
+      }
+    };
+  }
+  
+  const filter = ctx.createBiquadFilter();
+  return {
+    input: filter,
+    output: filter,
+    params: { frequency: filter.frequency, resonance: filter.Q },
+    update: params => {
+      filter.type = params.type;
+    }
+  };
+}
+
+// Blend a processed path with the dry signal; setMix() takes 0 for dry up
+// to 1 for fully wet
+function createWetDry(ctx, wetInput, wetOutput) {
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  input.connect(dry);
+  dry.connect(output);
+  input.connect(wetInput);
+  wetOutput.connect(wet);
+  wet.connect(output);
+  return {
+    input,
+    output,
+    setMix: mix => {
+      dry.gain.value = 1 - mix;
+      wet.gain.value = mix;
+    }
+  };
+}
+
+// Stereo impulse response of exponentially decaying noise, reaching -60 dB
+// after `decay` seconds. The noise comes from a fixed seed so live playback
+// and the export use the same impulse.
+function createReverbImpulse(ctx, decay) {
+  const length = Math.max(1, Math.round(decay * ctx.sampleRate));
+  const impulse = ctx.createBuffer(2, length, ctx.sampleRate);
+  let seed = 1;
+  const random = () => {
+    // xorshift32
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return (seed >>> 0) / 0x100000000;
+  };
+  
+  for (let channel = 0; channel < 2; channel++) {
+    const data = impulse.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (random() * 2 - 1) * Math.pow(0.001, i / length);
+    }
+  }
+  return impulse;
+}
+
+// Soft clipping curve; higher drive pushes more of the signal into saturation
+function createDistortionCurve(drive) {
+  const samples = 1024;
+  const curve = new Float32Array(samples);
+  for (let i = 0; i < samples; i++) {
+    const x = i * 2 / (samples - 1) - 1;
+    curve[i] = Math.tanh(drive * x) / Math.tanh(drive);
+  }
+  return curve;
+}
+
+// Effects dialog for a track: add, remove, reorder and bypass effects and
+// set their parameters
+function openEffectsPanel(track) {
+  const modal = openModal('✨ Effects', { onClose: () => { activeEditor = null; } });
+  modal.body.innerHTML = `
+    <label class="form-row">
+      <span>Add effect</span>
+      <select class="effect-add">
+        <option value="">Choose…</option>
+        ${Object.entries(EFFECT_TYPES).map(([type, { label }]) => `<option value="${type}">${label}</option>`).join('')}
+      </select>
+    </label>
+    <div class="effect-chain"></div>
+    <p class="export-summary">Effects run top to bottom.</p>
+  `;
+  
+  const addSelect = modal.body.querySelector('.effect-add');
+  const chainEl = modal.body.querySelector('.effect-chain');
+  
+  addSelect.addEventListener('change', () => {
+    if (!addSelect.value) return;
+    const effect = newEffect(addSelect.value);
+    addSelect.value = '';
+    executeCommand({
+      label: 'Add Effect',
+      do: () => track.effects.push(effect),
+      undo: () => track.effects.splice(track.effects.indexOf(effect), 1)
+    });
+  });
+  
+  // Move an effect from one slot in the chain to another
+  const moveEffect = (effect, offset) => {
+    const from = track.effects.indexOf(effect);
+    const to = from + offset;
+    if (to < 0 || to >= track.effects.length) return;
+    const place = index => {
+      track.effects.splice(track.effects.indexOf(effect), 1);
+      track.effects.splice(index, 0, effect);
+    };
+    executeCommand({
+      label: 'Move Effect',
+      do: () => place(to),
+      undo: () => place(from)
+    });
+  };
+  
+  const renderEffect = (effect, index) => {
+    const type = EFFECT_TYPES[effect.type];
+    const card = document.createElement('div');
+    card.className = 'effect-card' + (effect.bypass ? ' bypassed' : '');
+    card.innerHTML = `
+      <div class="effect-header">
+        <strong>${index + 1}. ${type.label}</strong>
+        <label><input type="checkbox" class="effect-bypass"${effect.bypass ? ' checked' : ''}> Bypass</label>
+        <button class="effect-up" title="Move Up"${index === 0 ? ' disabled' : ''}>▲</button>
+        <button class="effect-down" title="Move Down"${index === track.effects.length - 1 ? ' disabled' : ''}>▼</button>
+        <button class="effect-remove" title="Remove">✕</button>
+      </div>
+    `;
+    
+    card.querySelector('.effect-bypass').addEventListener('change', e => {
+      setProperty(effect, 'bypass', e.target.checked, e.target.checked ? 'Bypass Effect' : 'Enable Effect');
+    });
+    card.querySelector('.effect-up').addEventListener('click', () => moveEffect(effect, -1));
+    card.querySelector('.effect-down').addEventListener('click', () => moveEffect(effect, 1));
+    card.querySelector('.effect-remove').addEventListener('click', () => {
+      executeCommand({
+        label: 'Remove Effect',
+        do: () => track.effects.splice(track.effects.indexOf(effect), 1),
+        undo: () => track.effects.splice(index, 0, effect)
+      });
+    });
+    
+    type.params.forEach(param => {
+      const row = document.createElement('label');
+      row.className = 'form-row';
+      
+      if (param.options) {
+        row.innerHTML = `
+          <span>${param.label}</span>
+          <select>
+            ${param.options.map(option => `<option value="${option}">${option}</option>`).join('')}
+          </select>
+        `;
+        const select = row.querySelector('select');
+        select.value = effect.params[param.key];
+        select.addEventListener('change', () => {
+          setProperty(effect.params, param.key, select.value, param.label);
+        });
+      } else {
+        row.innerHTML = `
+          <span>${param.label}: ${effect.params[param.key]}</span>
+          <input type="range" min="${param.min}" max="${param.max}" step="${param.step}" value="${effect.params[param.key]}">
+        `;
+        const label = row.querySelector('span');
+        bindSliderToHistory(row.querySelector('input'), param.label,
+          () => effect.params[param.key],
+          value => {
+            effect.params[param.key] = value;
+            label.textContent = `${param.label}: ${value}`;
+            updateLiveMix();
+          });
+      }
+      card.appendChild(row);
+    });
+    
+    return card;
+  };
+  
+  const render = () => {
+    chainEl.innerHTML = '';
+    if (track.effects.length === 0) {
+      chainEl.innerHTML = '<p class="export-summary">No effects on this track yet.</p>';
+    }
+    track.effects.forEach((effect, index) => {
+      chainEl.appendChild(renderEffect(effect, index));
+    });
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// Mixer
+// Each track runs through a channel strip: fader, pan and a mute/solo gain
+// that also carries its folder's volume, then into the master bus, with
+// post-fader sends to a reverb and a delay return bus. The master bus has
+// its own gain and a limiter. The live mix graph is kept for the whole
+// session so mixer changes are heard while playing; offline renders build
+// their own with the same settings.
+const MIX_REVERB_DECAY = 2.5; // Seconds, reverb return impulse
+const MIX_REVERB_PRE_DELAY = 0.02;
+const MIX_DELAY_TICKS = TICKS_PER_BEAT * 3 / 4; // Dotted eighth, follows the tempo
+const MIX_DELAY_FEEDBACK = 0.4;
+const MIX_SENDS = ['reverb', 'delay'];
+const MIX_RETURN_NAMES = { reverb: 'Reverb Return', delay: 'Delay Return' };
+
+function newMixer() {
+  return {
+    masterVolume: 1,
+    limiter: true,
+    returns: { reverb: 0.8, delay: 0.6 }
+  };
+}
+
+// Master bus and return buses in a context, ending at `destination`. With
+// `metering`, the master and every channel strip get an AnalyserNode. A
+// `stem` graph skips the master and plays one part of the mix: with 'track'
+// the channel strips regardless of mute and solo, with a send bus name only
+// that return.
+function createMixGraph(ctx, destination, { metering = false, stem = null } = {}) {
+  const input = ctx.createGain();
+  const dry = ctx.createGain(); // Sum of the channel strips
+  const limiter = ctx.createDynamicsCompressor();
+  const limited = ctx.createGain();
+  const direct = ctx.createGain();
+  const output = ctx.createGain();
+  limiter.threshold.value = -1;
+  limiter.knee.value = 0;
+  limiter.ratio.value = 20;
+  limiter.attack.value = 0.003;
+  limiter.release.value = 0.1;
+  // The limiter is switched by fading between two parallel paths
+  input.connect(limiter);
+  limiter.connect(limited);
+  limited.connect(output);
+  input.connect(direct);
+  direct.connect(output);
+  output.connect(destination);
+  dry.connect(input);
+  
+  let analyser = null;
+  if (metering) {
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = MASTER_FFT_SIZE;
+    output.connect(analyser);
+  }
+  
+  const reverb = ctx.createConvolver();
+  const preDelay = ctx.createDelay(1);
+  const reverbReturn = ctx.createGain();
+  preDelay.delayTime.value = MIX_REVERB_PRE_DELAY;
+  reverb.buffer = createReverbImpulse(ctx, MIX_REVERB_DECAY);
+  preDelay.connect(reverb);
+  reverb.connect(reverbReturn);
+  reverbReturn.connect(input);
+  
+  const delay = ctx.createDelay(EFFECT_MAX_DELAY);
+  const feedback = ctx.createGain();
+  const delayReturn = ctx.createGain();
+  feedback.gain.value = MIX_DELAY_FEEDBACK;
+  delay.connect(feedback);
+  feedback.connect(delay);
+  delay.connect(delayReturn);
+  delayReturn.connect(input);
+  
+  return {
+    input,
+    dry,
+    limited,
+    direct,
+    delay,
+    sends: { reverb: preDelay, delay },
+    returns: { reverb: reverbReturn, delay: delayReturn },
+    metering,
+    stem,
+    analyser,
+    strips: []
+  };
+}
+
+// Channel strip for a track in a mix graph; its input is the fader
+function createChannelStrip(ctx, mix, track, trackList) {
+  const fader = ctx.createGain();
+  const panner = ctx.createStereoPanner();
+  const mute = ctx.createGain();
+  fader.connect(panner);
+  panner.connect(mute);
+  mute.connect(mix.dry);
+  
+  const sends = {};
+  MIX_SENDS.forEach(bus => {
+    sends[bus] = ctx.createGain();
+    mute.connect(sends[bus]);
+    sends[bus].connect(mix.sends[bus]);
+  });
+  
+  // Track meters read the signal after the fader, pan and mute
+  let analyser = null;
+  if (mix.metering) {
+    analyser = ctx.createAnalyser();
+    analyser.fftSize = METER_FFT_SIZE;
+    mute.connect(analyser);
+  }
+  
+  const strip = { track, trackList, input: fader, fader, panner, mute, sends, analyser };
+  mix.strips.push(strip);
+  return strip;
+}
+
+// Set every node in a mix graph from the mixer and track settings
+function applyMixSettings(mix) {
+  const { stem } = mix;
+  mix.input.gain.value = stem ? 1 : mixer.masterVolume;
+  mix.limited.gain.value = mixer.limiter && !stem ? 1 : 0;
+  mix.direct.gain.value = mixer.limiter && !stem ? 0 : 1;
+  mix.dry.gain.value = !stem || stem === 'track' ? 1 : 0;
+  mix.delay.delayTime.value = ticksToSeconds(MIX_DELAY_TICKS);
+  MIX_SENDS.forEach(bus => {
+    mix.returns[bus].gain.value = !stem || stem === bus ? mixer.returns[bus] : 0;
+  });
+  
+  mix.strips.forEach(({ track, trackList, fader, panner, mute, sends, chain }) => {
+    // Automated params follow their lane instead of the static setting
+    if (!isAutomated(track, 'volume')) {
+      fader.gain.value = track.volume;
+    }
+    if (!isAutomated(track, 'pan')) {
+      panner.pan.value = track.pan;
+    }
+    const audible = stem === 'track' || isTrackAudible(track, trackList);
+    mute.gain.value = audible ? (getTrackFolder(track)?.volume ?? 1) : 0;
+    MIX_SENDS.forEach(bus => {
+      sends[bus].gain.value = track.sends[bus];
+    });
+    if (chain) {
+      updateEffectChain(chain);
+    }
+  });
+}
+
+// The live mix graph, created with the audio context
+function getLiveMix() {
+  if (!liveMix) {
+    liveMix = createMixGraph(audioCtx, audioCtx.destination, { metering: true });
+  }
+  return liveMix;
+}
+
+// Bring what is playing in line with the current mixer settings
+function updateLiveMix() {
+  if (liveMix) {
+    applyMixSettings(liveMix);
+  }
+}
+
+function formatGainDb(gain) {
+  return gain > 0 ? `${(20 * Math.log10(gain)).toFixed(1)} dB` : '-∞ dB';
+}
+
+// Mixer dialog: a channel strip per track, the return buses and the master
+function openMixer() {
+  const modal = openModal('🎚️ Mixer', { onClose: () => { activeEditor = null; } });
+  modal.body.closest('.modal').classList.add('modal-wide');
+  modal.body.innerHTML = '<div class="mixer"></div>';
+  const mixerEl = modal.body.querySelector('.mixer');
+  
+  // A labelled slider whose changes are heard live and undone in one step
+  const addSlider = (parent, { label, min, max, step, vertical }, getValue, setValue, format) => {
+    const row = document.createElement('label');
+    row.className = 'mixer-control' + (vertical ? ' mixer-fader' : '');
+    row.innerHTML = `
+      <input type="range" min="${min}" max="${max}" step="${step}" value="${getValue()}">
+      <span></span>
+    `;
+    const valueEl = row.querySelector('span');
+    const showValue = () => {
+      valueEl.textContent = `${label} ${format(getValue())}`;
+    };
+    bindSliderToHistory(row.querySelector('input'), label, getValue, value => {
+      setValue(value);
+      showValue();
+      updateLiveMix();
+    });
+    showValue();
+    parent.appendChild(row);
+  };
+  
+  const formatPan = pan => pan === 0 ? 'C' : `${Math.round(Math.abs(pan) * 100)}${pan < 0 ? 'L' : 'R'}`;
+  const formatPercent = value => `${Math.round(value * 100)}%`;
+  
+  const renderStrip = (title, className) => {
+    const strip = document.createElement('div');
+    strip.className = 'channel-strip ' + className;
+    strip.innerHTML = `<div class="channel-name">${title}</div>`;
+    mixerEl.appendChild(strip);
+    return strip;
+  };
+  
+  const render = () => {
+    mixerEl.innerHTML = '';
+    
+    tracks.forEach(track => {
+      const strip = renderStrip(getTrackName(track), 'track-strip');
+      const buttons = document.createElement('div');
+      buttons.className = 'channel-buttons';
+      buttons.innerHTML = `
+        <button class="channel-mute ${track.muted ? 'active' : ''}" title="Mute">M</button>
+        <button class="channel-solo ${track.solo ? 'active' : ''}" title="Solo">S</button>
+      `;
+      buttons.querySelector('.channel-mute').addEventListener('click', () => {
+        toggleTrackSetting(track, 'muted', 'Toggle Mute');
+      });
+      buttons.querySelector('.channel-solo').addEventListener('click', () => {
+        toggleTrackSetting(track, 'solo', 'Toggle Solo');
+      });
+      strip.appendChild(buttons);
+      
+      MIX_SENDS.forEach(bus => {
+        addSlider(strip, { label: bus === 'reverb' ? 'Rev' : 'Dly', min: 0, max: 1, step: 0.01 },
+          () => track.sends[bus],
+          value => { track.sends[bus] = value; },
+          formatPercent);
+      });
+      addSlider(strip, { label: 'Pan', min: -1, max: 1, step: 0.01 },
+        () => track.pan,
+        value => { track.pan = value; },
+        formatPan);
+      addSlider(strip, { label: '', min: 0, max: 1, step: 0.01, vertical: true },
+        () => track.volume,
+        value => { track.volume = value; },
+        formatGainDb);
+    });
+    
+    MIX_SENDS.forEach(bus => {
+      const strip = renderStrip(MIX_RETURN_NAMES[bus], 'return-strip');
+      addSlider(strip, { label: '', min: 0, max: 1, step: 0.01, vertical: true },
+        () => mixer.returns[bus],
+        value => { mixer.returns[bus] = value; },
+        formatGainDb);
+    });
+    
+    const master = renderStrip('Master', 'master-strip');
+    const limiter = document.createElement('label');
+    limiter.className = 'mixer-control';
+    limiter.innerHTML = `<span><input type="checkbox"${mixer.limiter ? ' checked' : ''}> Limiter</span>`;
+    limiter.querySelector('input').addEventListener('change', e => {
+      setProperty(mixer, 'limiter', e.target.checked, e.target.checked ? 'Enable Limiter' : 'Bypass Limiter');
+    });
+    master.appendChild(limiter);
+    addSlider(master, { label: '', min: 0, max: 1.5, step: 0.01, vertical: true },
+      () => mixer.masterVolume,
+      value => { mixer.masterVolume = value; },
+      formatGainDb);
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// Level meters
+// Peak and RMS meters for each track header and the master, read from the
+// live mix graph's analysers on every animation frame while anything plays.
+// The peak marker holds for a moment before falling, and a clip light stays
+// on once a sample reaches full scale until it is clicked.
+const METER_FFT_SIZE = 1024;
+const MASTER_FFT_SIZE = 2048;
+const METER_FLOOR_DB = -60; // Bottom of the meter scale
+const METER_PEAK_HOLD = 1000; // ms the peak marker holds
+const METER_PEAK_FALL = 20; // dB per second the peak marker falls after the hold
+const trackMeterStates = new WeakMap();
+const masterMeterState = newMeterState();
+let analyzerMode = 'spectrum'; // 'spectrum' | 'scope'
+
+function newMeterState() {
+  return { rms: METER_FLOOR_DB, peak: METER_FLOOR_DB, heldPeak: METER_FLOOR_DB, heldAt: 0, updatedAt: 0, clipped: false };
+}
+
+// Meter state outlives the track header, which is rebuilt on every render
+function getMeterState(track) {
+  if (!trackMeterStates.has(track)) {
+    trackMeterStates.set(track, newMeterState());
+  }
+  return trackMeterStates.get(track);
+}
+
+function levelMeterHTML(state) {
+  return `
+    <div class="level-meter" title="Peak / RMS level">
+      <div class="meter-bar"><div class="meter-peak-bar"></div><div class="meter-rms-bar"></div><div class="meter-hold"></div></div>
+      <button class="meter-clip ${state.clipped ? 'clipped' : ''}" title="Clip (click to reset)"></button>
+    </div>
+  `;
+}
+
+function bindLevelMeter(meterEl, state) {
+  meterEl.querySelector('.meter-clip').addEventListener('click', e => {
+    e.stopPropagation();
+    state.clipped = false;
+    e.target.classList.remove('clipped');
+  });
+  drawLevelMeter(meterEl, state);
+}
+
+function gainToMeterDb(gain) {
+  return gain > 0 ? Math.max(METER_FLOOR_DB, 20 * Math.log10(gain)) : METER_FLOOR_DB;
+}
+
+// Update a meter state from the analysers feeding it
+function measureLevels(state, analysers, now) {
+  let peak = 0;
+  let sumSquares = 0;
+  let count = 0;
+  analysers.forEach(analyser => {
+    const data = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(data);
+    for (let i = 0; i < data.length; i++) {
+      const level = Math.abs(data[i]);
+      if (level > peak) peak = level;
+      sumSquares += data[i] * data[i];
+    }
+    count += data.length;
+  });
+  
+  state.peak = gainToMeterDb(peak);
+  state.rms = gainToMeterDb(count ? Math.sqrt(sumSquares / count) : 0);
+  if (peak >= 1) {
+    state.clipped = true;
+  }
+  
+  if (state.peak >= state.heldPeak) {
+    state.heldPeak = state.peak;
+    state.heldAt = now;
+  } else if (now - state.heldAt > METER_PEAK_HOLD) {
+    const fall = (now - state.updatedAt) / 1000 * METER_PEAK_FALL;
+    state.heldPeak = Math.max(state.peak, state.heldPeak - fall);
+  }
+  state.updatedAt = now;
+}
+
+function drawLevelMeter(meterEl, state) {
+  const percent = db => `${Math.min(1, (db - METER_FLOOR_DB) / -METER_FLOOR_DB) * 100}%`;
+  meterEl.querySelector('.meter-peak-bar').style.width = percent(state.peak);
+  meterEl.querySelector('.meter-rms-bar').style.width = percent(state.rms);
+  meterEl.querySelector('.meter-hold').style.left = percent(state.heldPeak);
+  meterEl.querySelector('.meter-clip').classList.toggle('clipped', state.clipped);
+}
+
+// Run the meters until playback stops
+function startMeters() {
+  if (meterFrame === null) {
+    meterFrame = requestAnimationFrame(updateMeters);
+  }
+}
+
+function updateMeters() {
+  const now = performance.now();
+  const playing = isPlaying || [...trackPlayStates.values()].some(Boolean);
+  const strips = liveMix ? liveMix.strips : [];
+  
+  document.querySelectorAll('.track-list .track').forEach(trackEl => {
+    const track = tracks[trackEl.dataset.index];
+    const meterEl = trackEl.querySelector('.level-meter');
+    if (!track || !meterEl) return;
+    
+    const state = getMeterState(track);
+    const analysers = strips.filter(strip => strip.track === track).map(strip => strip.analyser);
+    measureLevels(state, playing ? analysers : [], now);
+    drawLevelMeter(meterEl, state);
+  });
+  
+  const masterEl = document.getElementById('master-meter');
+  measureLevels(masterMeterState, playing && liveMix ? [liveMix.analyser] : [], now);
+  drawLevelMeter(masterEl, masterMeterState);
+  drawAnalyzer(playing && liveMix ? liveMix.analyser : null);
+  
+  // Keep going until playing has stopped and the peak markers have fallen
+  const settled = [masterMeterState, ...tracks.map(getMeterState)].every(state => state.heldPeak <= METER_FLOOR_DB);
+  meterFrame = playing || !settled ? requestAnimationFrame(updateMeters) : null;
+}
+
+// Spectrum or oscilloscope of the master bus on the toolbar canvas
+function drawAnalyzer(analyser) {
+  const canvas = document.getElementById('analyzer');
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) return;
+  
+  const { width, height } = canvas;
+  context.clearRect(0, 0, width, height);
+  if (!analyser) return;
+  
+  if (analyzerMode === 'spectrum') {
+    // Bars on a logarithmic frequency axis, 20 Hz to Nyquist
+    const data = new Uint8Array(analyser.frequencyBinCount);
+    analyser.getByteFrequencyData(data);
+    const nyquist = analyser.context.sampleRate / 2;
+    const bars = 48;
+    const barWidth = width / bars;
+    context.fillStyle = '#55EFC4';
+    for (let bar = 0; bar < bars; bar++) {
+      const from = 20 * Math.pow(nyquist / 20, bar / bars);
+      const to = 20 * Math.pow(nyquist / 20, (bar + 1) / bars);
+      const first = Math.floor(from / nyquist * data.length);
+      const last = Math.max(first + 1, Math.floor(to / nyquist * data.length));
+      let level = 0;
+      for (let bin = first; bin < last && bin < data.length; bin++) {
+        level = Math.max(level, data[bin]);
+      }
+      const barHeight = level / 255 * height;
+      context.fillRect(bar * barWidth, height - barHeight, barWidth - 1, barHeight);
+    }
+  } else {
+    const data = new Float32Array(analyser.fftSize);
+    analyser.getFloatTimeDomainData(data);
+    context.strokeStyle = '#FFEAA7';
+    context.beginPath();
+    for (let i = 0; i < data.length; i++) {
+      const x = i / (data.length - 1) * width;
+      const y = (1 - data[i]) * height / 2;
+      if (i === 0) {
+        context.moveTo(x, y);
+      } else {
+        context.lineTo(x, y);
+      }
+    }
+    context.stroke();
+  }
+}
+
+// Master meter and analyzer in the toolbar; clicking the analyzer switches
+// between spectrum and oscilloscope
+function setupMeters() {
+  const masterEl = document.getElementById('master-meter');
+  masterEl.innerHTML = levelMeterHTML(masterMeterState);
+  bindLevelMeter(masterEl, masterMeterState);
+  
+  const canvas = document.getElementById('analyzer');
+  canvas.addEventListener('click', () => {
+    analyzerMode = analyzerMode === 'spectrum' ? 'scope' : 'spectrum';
+    canvas.title = analyzerMode === 'spectrum' ? 'Spectrum (click for oscilloscope)' : 'Oscilloscope (click for spectrum)';
+  });
+}
+
+// Automation
+// A track's automation lanes each drive one target: 'volume', 'pan' or an
+// effect parameter as '<effect id>.<param>'. A lane holds breakpoints
+// { ticks, value, curve } sorted by time, where `curve` ('linear' or
+// 'exponential') shapes the ramp into that point. The value holds before the
+// first and after the last point. Playback and the offline export schedule
+// the same AudioParam ramps, so the render follows the lanes sample for sample.
+const AUTOMATION_CURVES = ['linear', 'exponential'];
+const openAutomationTracks = new WeakSet(); // Tracks showing their lanes
+
+// Everything on a track that a lane can automate, with its value range
+function getAutomationTargets(track) {
+  const targets = [
+    { target: 'volume', label: 'Volume', min: 0, max: 1, step: 0.01 },
+    { target: 'pan', label: 'Pan', min: -1, max: 1, step: 0.01 }
+  ];
+  track.effects.forEach((effect, index) => {
+    const type = EFFECT_TYPES[effect.type];
+    type.params.filter(param => param.automate).forEach(param => {
+      targets.push({
+        target: `${effect.id}.${param.key}`,
+        label: `${index + 1}. ${type.label} ${param.label}`,
+        min: param.min,
+        max: param.max,
+        step: param.step
+      });
+    });
+  });
+  return targets;
+}
+
+// Whether a target follows a lane rather than its static setting
+function isAutomated(track, target) {
+  return track.automation.some(lane => lane.target === target && lane.points.length > 0);
+}
+
+// Exponential ramps only work between two values of the same sign
+function canRampExponentially(from, to) {
+  return from * to > 0;
+}
+
+// Value of a lane at a time in seconds
+function getAutomationValue(points, seconds) {
+  const nextIndex = points.findIndex(point => ticksToSeconds(point.ticks) > seconds);
+  if (nextIndex === -1) return points[points.length - 1].value;
+  if (nextIndex === 0) return points[0].value;
+  
+  const from = points[nextIndex - 1];
+  const to = points[nextIndex];
+  const fromTime = ticksToSeconds(from.ticks);
+  const fraction = (seconds - fromTime) / (ticksToSeconds(to.ticks) - fromTime);
+  if (to.curve === 'exponential' && canRampExponentially(from.value, to.value)) {
+    return from.value * Math.pow(to.value / from.value, fraction);
+  }
+  return from.value + (to.value - from.value) * fraction;
+}
+
+// Schedule a lane on an AudioParam for song time [rangeStart, rangeEnd)
+// played from context time passStart
+function scheduleAutomation(param, points, { passStart, rangeStart, rangeEnd }) {
+  const toContextTime = seconds => passStart + seconds - rangeStart;
+  const rampTo = (value, time, curve, from) => {
+    if (curve === 'exponential' && canRampExponentially(from, value)) {
+      param.exponentialRampToValueAtTime(value, time);
+    } else {
+      param.linearRampToValueAtTime(value, time);
+    }
+  };
+  
+  let value = getAutomationValue(points, rangeStart);
+  param.setValueAtTime(value, passStart);
+  
+  for (const point of points) {
+    const seconds = ticksToSeconds(point.ticks);
+    if (seconds <= rangeStart) continue;
+    
+    // A ramp running past the range end stops where the range does
+    if (seconds > rangeEnd) {
+      rampTo(getAutomationValue(points, rangeEnd), toContextTime(rangeEnd), point.curve, value);
+      break;
+    }
+    rampTo(point.value, toContextTime(seconds), point.curve, value);
+    value = point.value;
+  }
+}
+
+// Add a point to a lane, keeping the points in time order
+function addAutomationPoint(lane, point) {
+  executeCommand({
+    label: 'Add Automation Point',
+    do: () => {
+      lane.points.push(point);
+      lane.points.sort((a, b) => a.ticks - b.ticks);
+    },
+    undo: () => lane.points.splice(lane.points.indexOf(point), 1)
+  });
+}
+
+function removeAutomationPoint(lane, point) {
+  const index = lane.points.indexOf(point);
+  executeCommand({
+    label: 'Remove Automation Point',
+    do: () => lane.points.splice(lane.points.indexOf(point), 1),
+    undo: () => lane.points.splice(index, 0, point)
+  });
+}
+
+// The lanes panel shown under a track
+function renderAutomationLanes(track, totalTicks) {
+  const panel = document.createElement('div');
+  panel.className = 'automation-lanes';
+  const targets = getAutomationTargets(track);
+  
+  track.automation.forEach(lane => {
+    panel.appendChild(renderAutomationLane(track, lane, targets.find(t => t.target === lane.target), totalTicks));
+  });
+  
+  const unused = targets.filter(({ target }) => !track.automation.some(lane => lane.target === target));
+  const addRow = document.createElement('div');
+  addRow.className = 'automation-add';
+  addRow.innerHTML = `
+    <select>
+      <option value="">➕ Add lane…</option>
+      ${unused.map(({ target, label }) => `<option value="${target}">${label}</option>`).join('')}
+    </select>
+  `;
+  addRow.querySelector('select').addEventListener('change', e => {
+    if (!e.target.value) return;
+    const lane = { target: e.target.value, points: [] };
+    executeCommand({
+      label: 'Add Automation Lane',
+      do: () => track.automation.push(lane),
+      undo: () => track.automation.splice(track.automation.indexOf(lane), 1)
+    });
+  });
+  panel.appendChild(addRow);
+  return panel;
+}
+
+// One lane: click the area to add a point, drag a point to move it,
+// double-click a point to remove it. The curve menu shapes the ramp into the
+// selected point.
+function renderAutomationLane(track, lane, range, totalTicks) {
+  const laneEl = document.createElement('div');
+  laneEl.className = 'automation-lane';
+  const selected = lane.points.includes(selectedAutomationPoint) ? selectedAutomationPoint : null;
+  laneEl.innerHTML = `
+    <div class="automation-lane-header">
+      <span>${range ? range.label : 'Removed effect'}</span>
+      <select class="automation-curve" title="Curve into the selected point"${selected ? '' : ' disabled'}>
+        ${AUTOMATION_CURVES.map(curve => `<option value="${curve}">${curve[0].toUpperCase() + curve.slice(1)}</option>`).join('')}
+      </select>
+      <button class="automation-remove" title="Remove Lane">✕</button>
+    </div>
+    <div class="automation-area">
+      <svg viewBox="0 0 1000 100" preserveAspectRatio="none"><polyline></polyline></svg>
+    </div>
+  `;
+  const area = laneEl.querySelector('.automation-area');
+  const curveSelect = laneEl.querySelector('.automation-curve');
+  curveSelect.value = selected ? selected.curve : 'linear';
+  
+  curveSelect.addEventListener('change', () => {
+    setProperty(selected, 'curve', curveSelect.value, 'Automation Curve');
+  });
+  laneEl.querySelector('.automation-remove').addEventListener('click', () => {
+    const index = track.automation.indexOf(lane);
+    executeCommand({
+      label: 'Remove Automation Lane',
+      do: () => track.automation.splice(track.automation.indexOf(lane), 1),
+      undo: () => track.automation.splice(index, 0, lane)
+    });
+  });
+  if (!range) {
+    return laneEl;
+  }
   
-  tracks.forEach((track, trackIndex) => {
-    const trackEl = document.createElement('div');
-    trackEl.className = 'track';
-    if (trackIndex === selectedTrackIndex) {
-      trackEl.style.border = '2px solid #FFD700';
+  const toY = value => (1 - (value - range.min) / (range.max - range.min)) * 100;
+  const pointFromMouse = e => {
+    const rect = area.getBoundingClientRect();
+    const x = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    const y = Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height));
+    const value = range.min + (1 - y) * (range.max - range.min);
+    return {
+      ticks: snapTicks(x * totalTicks),
+      value: parseFloat((Math.round(value / range.step) * range.step).toFixed(4))
+    };
+  };
+  
+  const draw = () => {
+    area.querySelectorAll('.automation-point').forEach(el => el.remove());
+    
+    // Exponential segments are drawn through intermediate values
+    const line = [];
+    lane.points.forEach((point, index) => {
+      const previous = lane.points[index - 1];
+      if (previous && point.curve === 'exponential') {
+        for (let step = 1; step < 16; step++) {
+          const ticks = previous.ticks + (point.ticks - previous.ticks) * step / 16;
+          line.push([ticks, getAutomationValue(lane.points, ticksToSeconds(ticks))]);
+        }
+      }
+      line.push([point.ticks, point.value]);
+    });
+    if (line.length > 0) {
+      line.unshift([0, line[0][1]]);
+      line.push([totalTicks, line[line.length - 1][1]]);
     }
-    trackEl.dataset.index = trackIndex;
+    laneEl.querySelector('polyline').setAttribute('points',
+      line.map(([ticks, value]) => `${ticks / totalTicks * 1000},${toY(value)}`).join(' '));
     
-    // Track header with controls
-    const header = document.createElement('div');
-    header.className = 'track-header';
-    header.innerHTML = `
-      <span>Track ${trackIndex + 1} ${track.loop ? '🔄' : ''} ${track.muted ? '🔇' : '🔊'}</span>
-      <div class="track-controls">
-        <button class="play-track" title="Play Track">▶️</button>
-        <input type="range" min="0" max="1" step="0.01" class="volume-control" value="${track.volume}" title="Volume">
-        <button class="loop-toggle ${track.loop ? 'active' : ''}" title="Loop">🔄</button>
-        <button class="mute-toggle ${track.muted ? 'active' : ''}" title="Mute">🔇</button>
-        <button class="delete-track" title="Delete Track">❌</button>
+    lane.points.forEach(point => {
+      const pointEl = document.createElement('div');
+      pointEl.className = 'automation-point' + (point === selectedAutomationPoint ? ' selected' : '');
+      pointEl.style.left = `${point.ticks / totalTicks * 100}%`;
+      pointEl.style.top = `${toY(point.value)}%`;
+      pointEl.title = `${formatPosition(ticksToPosition(point.ticks))}: ${point.value}`;
+      pointEl.addEventListener('mousedown', e => startDrag(e, point));
+      pointEl.addEventListener('dblclick', e => {
+        e.stopPropagation();
+        removeAutomationPoint(lane, point);
+      });
+      area.appendChild(pointEl);
+    });
+  };
+  
+  // Drag a point, applied live and recorded as one step on release
+  const startDrag = (e, point) => {
+    e.preventDefault();
+    e.stopPropagation();
+    selectedAutomationPoint = point;
+    const from = { ticks: point.ticks, value: point.value };
+    const move = moveEvent => {
+      Object.assign(point, pointFromMouse(moveEvent));
+      lane.points.sort((a, b) => a.ticks - b.ticks);
+      draw();
+    };
+    const release = () => {
+      document.removeEventListener('mousemove', move);
+      document.removeEventListener('mouseup', release);
+      const to = { ticks: point.ticks, value: point.value };
+      if (to.ticks === from.ticks && to.value === from.value) {
+        renderTracks();
+        return;
+      }
+      recordCommand({
+        label: 'Move Automation Point',
+        do: () => {
+          Object.assign(point, to);
+          lane.points.sort((a, b) => a.ticks - b.ticks);
+        },
+        undo: () => {
+          Object.assign(point, from);
+          lane.points.sort((a, b) => a.ticks - b.ticks);
+        }
+      });
+    };
+    document.addEventListener('mousemove', move);
+    document.addEventListener('mouseup', release);
+  };
+  
+  area.addEventListener('mousedown', e => {
+    if (e.button !== 0) return;
+    const point = { ...pointFromMouse(e), curve: 'linear' };
+    selectedAutomationPoint = point;
+    addAutomationPoint(lane, point);
+  });
+  
+  draw();
+  return laneEl;
+}
+
+// Clip editing
+// Sample clips are edited without touching their audio: `offset` and
+// `duration` pick the part of the buffer that plays, fades shape the clip's
+// gain, `reverse` plays the audio backwards and `gainDb` adds gain on top of
+// the volume slider. Offset counts from the start of the audio as it is
+// played, so a reversed clip's offset is into the reversed audio.
+const CLIP_DEFAULTS = {
+  offset: 0,
+  gainDb: 0,
+  reverse: false,
+  fadeIn: 0,
+  fadeOut: 0,
+  fadeInCurve: 'linear',
+  fadeOutCurve: 'linear'
+};
+const CLIP_EDIT_FIELDS = Object.keys(CLIP_DEFAULTS).concat('position', 'duration');
+const FADE_CURVES = {
+  linear: x => x,
+  exponential: x => (Math.pow(1000, x) - 1) / 999, // 60 dB of range
+  sCurve: x => (1 - Math.cos(Math.PI * x)) / 2
+};
+const FADE_CURVE_LABELS = { linear: 'Linear', exponential: 'Exponential', sCurve: 'S-Curve' };
+const FADE_CURVE_POINTS = 256;
+const MIN_CLIP_DURATION = 0.01; // Seconds
+const reversedBuffers = new WeakMap();
+
+// A reversed copy of a buffer, made once and shared
+function getReversedBuffer(buffer) {
+  if (!reversedBuffers.has(buffer)) {
+    initAudioContext();
+    const reversed = audioCtx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      reversed.getChannelData(channel).set(buffer.getChannelData(channel).slice().reverse());
+    }
+    reversedBuffers.set(buffer, reversed);
+  }
+  return reversedBuffers.get(buffer);
+}
+
+// Length of the audio a clip can be trimmed within
+function getClipSourceDuration(event) {
+  const buffer = getEventBuffer(event);
+  return buffer ? buffer.duration : event.offset + event.duration;
+}
+
+// Gain curve for a fade over clip time [from, to] of a fade `length` long
+function getFadeCurve(curve, gain, fadeOut, from, to, length) {
+  const shape = FADE_CURVES[curve] || FADE_CURVES.linear;
+  const values = new Float32Array(FADE_CURVE_POINTS);
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const x = (from + (to - from) * i / (FADE_CURVE_POINTS - 1)) / length;
+    values[i] = gain * shape(fadeOut ? 1 - x : x);
+  }
+  return values;
+}
+
+// Gain curve over clip time [from, duration] through both fades, for when
+// the fade-out starts right where the fade-in ends
+function getTouchingFadesCurve(event, gain, from, fadeIn, fadeOut) {
+  const fadeInShape = FADE_CURVES[event.fadeInCurve] || FADE_CURVES.linear;
+  const fadeOutShape = FADE_CURVES[event.fadeOutCurve] || FADE_CURVES.linear;
+  const values = new Float32Array(FADE_CURVE_POINTS);
+  for (let i = 0; i < FADE_CURVE_POINTS; i++) {
+    const time = from + (event.duration - from) * i / (FADE_CURVE_POINTS - 1);
+    values[i] = gain * (time < fadeIn ? fadeInShape(time / fadeIn) : fadeOutShape(1 - (time - fadeIn) / fadeOut));
+  }
+  return values;
+}
+
+// Schedule a clip's fades on its gain. `offset` is how far into the clip
+// playback starts, so a range that starts mid-fade picks the fade up there.
+function scheduleClipFades(param, event, gain, startTime, offset) {
+  const fadeIn = event.fadeIn || 0;
+  // Measured back from the end, the fade-out can start a rounding error
+  // inside the fade-in, and value curves must not overlap
+  const fadeStart = Math.max(fadeIn, event.duration - (event.fadeOut || 0));
+  const fadeOut = event.duration - fadeStart;
+  
+  if (fadeIn > offset && fadeOut > 0 && fadeStart === fadeIn) {
+    param.setValueCurveAtTime(getTouchingFadesCurve(event, gain, offset, fadeIn, fadeOut),
+      startTime, event.duration - offset);
+    return;
+  }
+  if (fadeIn > offset) {
+    param.setValueCurveAtTime(getFadeCurve(event.fadeInCurve, gain, false, offset, fadeIn, fadeIn),
+      startTime, fadeIn - offset);
+  }
+  if (fadeOut > 0) {
+    const from = Math.max(offset, fadeStart);
+    param.setValueCurveAtTime(getFadeCurve(event.fadeOutCurve, gain, true, from - fadeStart, fadeOut, fadeOut),
+      startTime + from - offset, event.duration - from);
+  }
+}
+
+// The clip fields an edit can change, for undo
+function getClipState(event) {
+  const state = {};
+  CLIP_EDIT_FIELDS.forEach(key => {
+    state[key] = event[key];
+  });
+  return state;
+}
+
+// Record an edit already applied to a clip, given its state before
+function recordClipEdit(event, before, label) {
+  const after = getClipState(event);
+  if (CLIP_EDIT_FIELDS.every(key => before[key] === after[key])) return;
+  recordCommand({
+    label,
+    do: () => Object.assign(event, after),
+    undo: () => Object.assign(event, before)
+  });
+}
+
+// Keep fades inside the clip after its length changes
+function clampClipFades(event) {
+  event.fadeIn = Math.min(event.fadeIn, event.duration);
+  event.fadeOut = Math.min(event.fadeOut, event.duration - event.fadeIn);
+}
+
+// Play a clip backwards. The same part of the audio stays selected, which
+// in the reversed audio starts from the other end.
+function toggleClipReverse(event) {
+  const flip = () => {
+    event.offset = Math.max(0, getClipSourceDuration(event) - event.offset - event.duration);
+    event.reverse = !event.reverse;
+  };
+  executeCommand({ label: 'Reverse Clip', do: flip, undo: flip });
+}
+
+// Split a clip in two at a tick position inside it
+function splitClip(track, event, ticks) {
+  const startTicks = positionToTicks(event.position);
+  const splitSeconds = ticksToSeconds(ticks) - eventStartSeconds(event);
+  if (ticks <= startTicks || splitSeconds >= event.duration) return false;
+  
+  const before = getClipState(event);
+  const right = {
+    ...event,
+    position: ticksToPosition(ticks),
+    offset: event.offset + splitSeconds,
+    duration: event.duration - splitSeconds,
+    fadeIn: 0,
+    fadeOut: Math.min(event.fadeOut, event.duration - splitSeconds)
+  };
+  const left = {
+    duration: splitSeconds,
+    fadeIn: Math.min(event.fadeIn, splitSeconds),
+    fadeOut: 0
+  };
+  
+  executeCommand({
+    label: 'Split Clip',
+    do: () => {
+      Object.assign(event, left);
+      track.events.splice(track.events.indexOf(event) + 1, 0, right);
+    },
+    undo: () => {
+      Object.assign(event, before);
+      track.events.splice(track.events.indexOf(right), 1);
+    }
+  });
+  return true;
+}
+
+// Trim and fade handles on a clip's timeline block. Changes show while
+// dragging and are recorded as one undo step on release.
+function renderClipHandles(eventEl, track, event) {
+  const fadeInShade = document.createElement('div');
+  fadeInShade.className = 'fade-shade fade-in-shade';
+  const fadeOutShade = document.createElement('div');
+  fadeOutShade.className = 'fade-shade fade-out-shade';
+  eventEl.append(fadeInShade, fadeOutShade);
+  
+  // Fades are drawn as a share of the block's width
+  const layout = () => {
+    eventEl.style.left = `${ticksToPixels(positionToTicks(event.position))}px`;
+    eventEl.style.width = `${ticksToPixels(eventLengthTicks(event))}px`;
+    fadeInShade.style.width = `${event.fadeIn / event.duration * 100}%`;
+    fadeOutShade.style.width = `${event.fadeOut / event.duration * 100}%`;
+    eventEl.querySelector('.fade-in').style.left = fadeInShade.style.width;
+    eventEl.querySelector('.fade-out').style.right = fadeOutShade.style.width;
+    drawEventWaveform(eventEl, event);
+  };
+  
+  const handles = [
+    { className: 'trim-handle trim-start', title: 'Trim start', label: 'Trim Clip', apply: trimStart },
+    { className: 'trim-handle trim-end', title: 'Trim end', label: 'Trim Clip', apply: trimEnd },
+    { className: 'fade-handle fade-in', title: 'Fade in', label: 'Fade In', apply: setFadeIn },
+    { className: 'fade-handle fade-out', title: 'Fade out', label: 'Fade Out', apply: setFadeOut }
+  ];
+  
+  function trimStart(ticks, start) {
+    // The start moves along the audio, so the end stays put
+    const end = start.offset + start.duration;
+    const startSeconds = eventStartSeconds(start);
+    const minTicks = secondsToTicks(startSeconds - start.offset);
+    const maxTicks = secondsToTicks(startSeconds + start.duration - MIN_CLIP_DURATION);
+    const newTicks = Math.max(minTicks, Math.min(maxTicks, snapTicks(ticks)));
+    const delta = ticksToSeconds(newTicks) - startSeconds;
+    event.position = ticksToPosition(newTicks);
+    event.offset = Math.max(0, start.offset + delta);
+    event.duration = end - event.offset;
+    clampClipFades(event);
+  }
+  
+  function trimEnd(ticks, start) {
+    const endSeconds = ticksToSeconds(snapTicks(ticks)) - eventStartSeconds(start);
+    const maxDuration = getClipSourceDuration(event) - start.offset;
+    event.duration = Math.max(MIN_CLIP_DURATION, Math.min(maxDuration, endSeconds));
+    clampClipFades(event);
+  }
+  
+  function setFadeIn(ticks, start) {
+    const length = ticksToSeconds(ticks) - eventStartSeconds(start);
+    event.fadeIn = Math.max(0, Math.min(event.duration - event.fadeOut, length));
+  }
+  
+  function setFadeOut(ticks, start) {
+    const length = eventStartSeconds(start) + start.duration - ticksToSeconds(ticks);
+    event.fadeOut = Math.max(0, Math.min(event.duration - event.fadeIn, length));
+  }
+  
+  handles.forEach(({ className, title, label, apply }) => {
+    const handle = document.createElement('div');
+    handle.className = className;
+    handle.title = title;
+    eventEl.appendChild(handle);
+    
+    handle.addEventListener('mousedown', e => {
+      e.preventDefault();
+      e.stopPropagation();
+      const before = getClipState(event);
+      
+      const move = moveEvent => {
+        apply(clientXToTicks(moveEvent.clientX, eventEl.parentElement), before);
+        layout();
+      };
+      const release = () => {
+        document.removeEventListener('mousemove', move);
+        document.removeEventListener('mouseup', release);
+        recordClipEdit(event, before, label);
+      };
+      document.addEventListener('mousemove', move);
+      document.addEventListener('mouseup', release);
+    });
+  });
+  
+  layout();
+}
+
+// Clip dialog: gain, reverse, fades, trim and split
+function openClipEditor(track, event) {
+  const modal = openModal(`✂️ ${event.name}`, { onClose: () => { activeEditor = null; } });
+  const curveOptions = Object.entries(FADE_CURVE_LABELS)
+    .map(([curve, label]) => `<option value="${curve}">${label}</option>`).join('');
+  modal.body.innerHTML = `
+    <label class="form-row">
+      <span class="clip-gain-label"></span>
+      <input type="range" class="clip-gain" min="-24" max="12" step="0.5">
+    </label>
+    <label class="form-row">
+      <span>Reverse</span>
+      <input type="checkbox" class="clip-reverse">
+    </label>
+    <label class="form-row">
+      <span class="clip-fade-in-label"></span>
+      <input type="range" class="clip-fade-in" min="0" step="0.01">
+    </label>
+    <label class="form-row">
+      <span>Fade in curve</span>
+      <select class="clip-fade-in-curve">${curveOptions}</select>
+    </label>
+    <label class="form-row">
+      <span class="clip-fade-out-label"></span>
+      <input type="range" class="clip-fade-out" min="0" step="0.01">
+    </label>
+    <label class="form-row">
+      <span>Fade out curve</span>
+      <select class="clip-fade-out-curve">${curveOptions}</select>
+    </label>
+    <p class="export-summary"></p>
+    <div class="modal-actions">
+      <button class="clip-reset">↺ Reset Edits</button>
+      <button class="clip-split">✂️ Split at Playhead</button>
+    </div>
+  `;
+  
+  const query = selector => modal.body.querySelector(selector);
+  const gainLabel = query('.clip-gain-label');
+  const fadeInLabel = query('.clip-fade-in-label');
+  const fadeOutLabel = query('.clip-fade-out-label');
+  
+  bindSliderToHistory(query('.clip-gain'), 'Clip Gain',
+    () => event.gainDb,
+    value => {
+      event.gainDb = value;
+      gainLabel.textContent = `Gain: ${value > 0 ? '+' : ''}${value} dB`;
+    });
+  bindSliderToHistory(query('.clip-fade-in'), 'Fade In',
+    () => event.fadeIn,
+    value => {
+      event.fadeIn = Math.min(value, event.duration - event.fadeOut);
+      fadeInLabel.textContent = `Fade in: ${event.fadeIn.toFixed(2)} s`;
+    });
+  bindSliderToHistory(query('.clip-fade-out'), 'Fade Out',
+    () => event.fadeOut,
+    value => {
+      event.fadeOut = Math.min(value, event.duration - event.fadeIn);
+      fadeOutLabel.textContent = `Fade out: ${event.fadeOut.toFixed(2)} s`;
+    });
+  
+  query('.clip-reverse').addEventListener('change', () => toggleClipReverse(event));
+  query('.clip-fade-in-curve').addEventListener('change', e => {
+    setProperty(event, 'fadeInCurve', e.target.value, 'Fade In Curve');
+  });
+  query('.clip-fade-out-curve').addEventListener('change', e => {
+    setProperty(event, 'fadeOutCurve', e.target.value, 'Fade Out Curve');
+  });
+  
+  query('.clip-reset').addEventListener('click', () => {
+    const before = getClipState(event);
+    // Put the clip back at the start of its full, unreversed audio
+    const startSeconds = eventStartSeconds(event) - (event.reverse ? 0 : event.offset);
+    Object.assign(event, CLIP_DEFAULTS, {
+      position: ticksToPosition(Math.max(0, secondsToTicks(startSeconds))),
+      duration: getClipSourceDuration(event)
+    });
+    recordClipEdit(event, before, 'Reset Clip');
+  });
+  
+  query('.clip-split').addEventListener('click', () => {
+    if (!splitClip(track, event, getPlayheadTicks())) {
+      alert('Move the playhead inside the clip first: click the ruler to place it.');
+    }
+  });
+  
+  const render = () => {
+    if (!track.events.includes(event)) {
+      modal.close();
+      return;
+    }
+    query('.clip-gain').value = event.gainDb;
+    gainLabel.textContent = `Gain: ${event.gainDb > 0 ? '+' : ''}${event.gainDb} dB`;
+    query('.clip-reverse').checked = event.reverse;
+    query('.clip-fade-in').max = event.duration;
+    query('.clip-fade-in').value = event.fadeIn;
+    fadeInLabel.textContent = `Fade in: ${event.fadeIn.toFixed(2)} s`;
+    query('.clip-fade-out').max = event.duration;
+    query('.clip-fade-out').value = event.fadeOut;
+    fadeOutLabel.textContent = `Fade out: ${event.fadeOut.toFixed(2)} s`;
+    query('.clip-fade-in-curve').value = event.fadeInCurve;
+    query('.clip-fade-out-curve').value = event.fadeOutCurve;
+    query('.export-summary').textContent =
+      `Plays ${event.offset.toFixed(2)}–${(event.offset + event.duration).toFixed(2)} s of ` +
+      `${getClipSourceDuration(event).toFixed(2)} s${event.reverse ? ' (reversed)' : ''}. ` +
+      'Drag the clip edges to trim and its top corners to fade.';
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// Step sequencer patterns
+// A pattern is a grid of 16th-note steps per drum instrument, each step
+// holding a velocity and a probability. Pattern clips on the timeline refer to
+// a pattern by id and play it `repeats` times, so one pattern can be reused by
+// any number of clips and an edit is heard in all of them.
+const PATTERN_STEP_TICKS = TICKS_PER_BEAT / 4;
+const PATTERN_GRID_SIZES = [16, 32];
+const MAX_PATTERN_STEPS = 32;
+const PATTERN_CLIP_COLOR = '#74B9FF';
+const DEFAULT_PATTERN_STEP = { velocity: 0.8, probability: 1 };
+
+function createPattern() {
+  return {
+    id: `pattern-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: `Pattern ${Object.keys(patterns).length + 1}`,
+    steps: 16, // Grid size, 16 or 32
+    length: 16, // Steps played before the pattern repeats
+    swing: 0, // 0-1, delays every second step by up to half a step
+    rows: {} // sampleId -> array of { velocity, probability } or null per step
+  };
+}
+
+// Drum sounds a pattern can use: the built-in kit plus the user's drum samples
+function getDrumSampleIds() {
+  return [
+    ...Object.keys(sampleData).filter(id => sampleData[id].category === 'drums'),
+    ...Object.values(userSamples).filter(sample => sample.category === 'drums').map(sample => sample.id)
+  ];
+}
+
+function getPatternStep(pattern, sampleId, step) {
+  return pattern.rows[sampleId]?.[step] || null;
+}
+
+// Samples a pattern has steps for
+function getPatternSampleIds(pattern) {
+  return Object.keys(pattern.rows).filter(sampleId => pattern.rows[sampleId].some(Boolean));
+}
+
+function getPatternClipTicks(clip) {
+  const pattern = patterns[clip.patternId];
+  return pattern ? pattern.length * PATTERN_STEP_TICKS * clip.repeats : 0;
+}
+
+// Sample hits for every repeat of a pattern clip
+function getPatternHits(clip) {
+  const pattern = patterns[clip.patternId];
+  if (!pattern) return [];
+  
+  const clipStart = positionToTicks(clip.position);
+  const hits = [];
+  
+  for (let repeat = 0; repeat < clip.repeats; repeat++) {
+    for (let step = 0; step < pattern.length; step++) {
+      const swingTicks = step % 2 === 1 ? pattern.swing * PATTERN_STEP_TICKS / 2 : 0;
+      const ticks = clipStart + (repeat * pattern.length + step) * PATTERN_STEP_TICKS + swingTicks;
+      
+      Object.keys(pattern.rows).forEach(sampleId => {
+        const cell = getPatternStep(pattern, sampleId, step);
+        const sample = getSampleInfo(sampleId);
+        if (!cell || !sample || Math.random() >= cell.probability) return;
+        
+        hits.push({
+          sampleId,
+          position: ticksToPosition(ticks),
+          volume: clip.volume * cell.velocity,
+          duration: sample.duration
+        });
+      });
+    }
+  }
+  return hits;
+}
+
+// Turn a step on with a { velocity, probability } cell, or off with null
+function setPatternStep(pattern, sampleId, step, cell) {
+  const oldCell = getPatternStep(pattern, sampleId, step);
+  const write = value => {
+    if (!pattern.rows[sampleId]) {
+      pattern.rows[sampleId] = new Array(MAX_PATTERN_STEPS).fill(null);
+    }
+    pattern.rows[sampleId][step] = value;
+  };
+  
+  executeCommand({
+    label: cell ? 'Add Step' : 'Remove Step',
+    do: () => write(cell),
+    undo: () => write(oldCell)
+  });
+}
+
+// Start of the first whole bar after a track's last event
+function getFreeBarTicks(track) {
+  const trackEnd = Math.max(0, ...track.events.map(event => positionToTicks(event.position) + eventLengthTicks(event)));
+  return ceilToBar(trackEnd);
+}
+
+function newPatternClip(pattern, position) {
+  return {
+    type: 'pattern',
+    patternId: pattern.id,
+    name: pattern.name,
+    position,
+    volume: 0.8,
+    repeats: 1
+  };
+}
+
+// Start a new pattern on the first free bar of a track and open its editor
+function addPatternClip(track) {
+  const pattern = createPattern();
+  patterns[pattern.id] = pattern;
+  
+  const clip = newPatternClip(pattern, ticksToPosition(getFreeBarTicks(track)));
+  addSampleEvent(track, clip);
+  openPatternEditor(clip);
+}
+
+// Step sequencer dialog for a pattern clip. Click an empty step to add it,
+// click a step to select it for velocity and probability, click the selected
+// step again to remove it.
+function openPatternEditor(clip) {
+  const pattern = patterns[clip.patternId];
+  if (!pattern) return;
+  
+  let selected = null; // { sampleId, step } shown in the step controls
+  const modal = openModal('🥁 Step Sequencer', { onClose: () => { activeEditor = null; } });
+  modal.body.closest('.modal').classList.add('modal-wide');
+  modal.body.innerHTML = `
+    <div class="sequencer-settings">
+      <label class="form-row">
+        <span>Name</span>
+        <input type="text" class="pattern-name">
+      </label>
+      <label class="form-row">
+        <span>Grid</span>
+        <select class="pattern-grid">
+          ${PATTERN_GRID_SIZES.map(size => `<option value="${size}">${size} steps</option>`).join('')}
+        </select>
+      </label>
+      <label class="form-row">
+        <span>Pattern length</span>
+        <input type="number" class="pattern-length" min="1" step="1">
+      </label>
+      <label class="form-row">
+        <span>Swing</span>
+        <input type="range" class="pattern-swing" min="0" max="1" step="0.01">
+      </label>
+      <label class="form-row">
+        <span>Repeats on timeline</span>
+        <input type="number" class="clip-repeats" min="1" max="64" step="1">
+      </label>
+    </div>
+    <div class="sequencer-grid"></div>
+    <div class="sequencer-step-controls">
+      <p class="export-summary"></p>
+      <label class="form-row">
+        <span>Velocity</span>
+        <input type="range" class="step-velocity" min="0.05" max="1" step="0.01">
+      </label>
+      <label class="form-row">
+        <span>Probability</span>
+        <input type="range" class="step-probability" min="0" max="1" step="0.01">
+      </label>
+    </div>
+    <div class="modal-actions">
+      <button class="pattern-place">➕ Place Again</button>
+    </div>
+  `;
+  
+  const nameInput = modal.body.querySelector('.pattern-name');
+  const gridSelect = modal.body.querySelector('.pattern-grid');
+  const lengthInput = modal.body.querySelector('.pattern-length');
+  const swingSlider = modal.body.querySelector('.pattern-swing');
+  const repeatsInput = modal.body.querySelector('.clip-repeats');
+  const grid = modal.body.querySelector('.sequencer-grid');
+  const stepControls = modal.body.querySelector('.sequencer-step-controls');
+  const velocitySlider = modal.body.querySelector('.step-velocity');
+  const probabilitySlider = modal.body.querySelector('.step-probability');
+  const selectedCell = () => selected && getPatternStep(pattern, selected.sampleId, selected.step);
+  
+  nameInput.addEventListener('change', () => {
+    const name = nameInput.value.trim();
+    if (name) {
+      setProperty(pattern, 'name', name, 'Rename Pattern');
+    }
+  });
+  
+  gridSelect.addEventListener('change', () => {
+    const steps = parseInt(gridSelect.value);
+    beginHistoryGroup('Pattern Grid');
+    try {
+      setProperty(pattern, 'steps', steps, 'Pattern Grid');
+      setProperty(pattern, 'length', Math.min(pattern.length, steps), 'Pattern Length');
+    } finally {
+      endHistoryGroup();
+    }
+  });
+  
+  lengthInput.addEventListener('change', () => {
+    const length = Math.max(1, Math.min(pattern.steps, parseInt(lengthInput.value) || pattern.length));
+    setProperty(pattern, 'length', length, 'Pattern Length');
+    lengthInput.value = pattern.length;
+  });
+  
+  repeatsInput.addEventListener('change', () => {
+    const repeats = Math.max(1, Math.min(64, parseInt(repeatsInput.value) || clip.repeats));
+    setProperty(clip, 'repeats', repeats, 'Pattern Repeats');
+    repeatsInput.value = clip.repeats;
+  });
+  
+  bindSliderToHistory(swingSlider, 'Swing',
+    () => pattern.swing,
+    value => { pattern.swing = value; });
+  bindSliderToHistory(velocitySlider, 'Step Velocity',
+    () => selectedCell().velocity,
+    value => { selectedCell().velocity = value; });
+  bindSliderToHistory(probabilitySlider, 'Step Probability',
+    () => selectedCell().probability,
+    value => { selectedCell().probability = value; });
+  
+  modal.body.querySelector('.pattern-place').addEventListener('click', () => {
+    const track = tracks.find(t => t.events.includes(clip));
+    const start = positionToTicks(clip.position) + eventLengthTicks(clip);
+    addSampleEvent(track, newPatternClip(pattern, ticksToPosition(start)));
+  });
+  
+  const render = () => {
+    // The clip is gone, e.g. adding it was undone
+    if (!tracks.some(track => track.events.includes(clip))) {
+      modal.close();
+      return;
+    }
+    
+    nameInput.value = pattern.name;
+    gridSelect.value = pattern.steps;
+    lengthInput.max = pattern.steps;
+    lengthInput.value = pattern.length;
+    swingSlider.value = pattern.swing;
+    repeatsInput.value = clip.repeats;
+    
+    grid.innerHTML = '';
+    grid.style.setProperty('--steps', pattern.steps);
+    getDrumSampleIds().forEach(sampleId => {
+      const row = document.createElement('div');
+      row.className = 'sequencer-row';
+      
+      const label = document.createElement('span');
+      label.className = 'sequencer-label';
+      label.textContent = getSampleInfo(sampleId).name;
+      row.appendChild(label);
+      
+      for (let step = 0; step < pattern.steps; step++) {
+        const cell = getPatternStep(pattern, sampleId, step);
+        const isSelected = selected && selected.sampleId === sampleId && selected.step === step;
+        
+        const button = document.createElement('button');
+        button.className = 'sequencer-step';
+        button.classList.toggle('on', !!cell);
+        button.classList.toggle('chance', !!cell && cell.probability < 1);
+        button.classList.toggle('beat', step % 4 === 0);
+        button.classList.toggle('outside', step >= pattern.length);
+        button.classList.toggle('selected', !!isSelected);
+        if (cell) {
+          button.style.opacity = 0.35 + 0.65 * cell.velocity;
+          button.title = `Step ${step + 1}: velocity ${Math.round(cell.velocity * 100)}%, probability ${Math.round(cell.probability * 100)}%`;
+        } else {
+          button.title = `Step ${step + 1}`;
+        }
+        
+        button.addEventListener('click', () => {
+          if (!cell) {
+            selected = { sampleId, step };
+            setPatternStep(pattern, sampleId, step, { ...DEFAULT_PATTERN_STEP });
+          } else if (isSelected) {
+            selected = null;
+            setPatternStep(pattern, sampleId, step, null);
+          } else {
+            selected = { sampleId, step };
+            render();
+          }
+        });
+        row.appendChild(button);
+      }
+      grid.appendChild(row);
+    });
+    
+    const cell = selectedCell();
+    stepControls.hidden = !cell;
+    if (cell) {
+      stepControls.querySelector('.export-summary').textContent =
+        `${getSampleInfo(selected.sampleId).name}, step ${selected.step + 1}`;
+      velocitySlider.value = cell.velocity;
+      probabilitySlider.value = cell.probability;
+    }
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// Piano roll notes clips
+// A notes clip plays one instrument at the pitches of its notes, each with a
+// start and length in ticks from the clip start and a velocity. An optional
+// scale lock keeps every note on a chosen key and scale.
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const DEFAULT_ROOT_NOTE = 60; // Middle C, assumed for user samples
+const NOTE_STEP_TICKS = TICKS_PER_BEAT / 4; // Piano roll columns are 16th notes
+const NOTE_RELEASE = 0.01; // Seconds of fade at the end of a note
+const PIANO_ROLL_ROWS = 25; // Two octaves, top and bottom C included
+
+const SCALES = {
+  chromatic: { name: 'Chromatic (no lock)', intervals: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] },
+  major: { name: 'Major', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  minor: { name: 'Natural minor', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  harmonicMinor: { name: 'Harmonic minor', intervals: [0, 2, 3, 5, 7, 8, 11] },
+  dorian: { name: 'Dorian', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  mixolydian: { name: 'Mixolydian', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  majorPentatonic: { name: 'Major pentatonic', intervals: [0, 2, 4, 7, 9] },
+  minorPentatonic: { name: 'Minor pentatonic', intervals: [0, 3, 5, 7, 10] },
+  blues: { name: 'Blues', intervals: [0, 3, 5, 6, 7, 10] }
+};
+
+const NOTE_LENGTHS = {
+  '1/16': 1,
+  '1/8': 2,
+  '1/4': 4,
+  '1/2': 8,
+  '1 bar': 16
+};
+
+function midiToFrequency(pitch) {
+  return 440 * Math.pow(2, (pitch - 69) / 12);
+}
+
+// Note name with octave, e.g. 60 -> C4
+function noteName(pitch) {
+  return `${NOTE_NAMES[pitch % 12]}${Math.floor(pitch / 12) - 1}`;
+}
+
+function isInScale(pitch, key, scale) {
+  return SCALES[scale].intervals.includes((((pitch - key) % 12) + 12) % 12);
+}
+
+// Nearest pitch in the scale, preferring the lower one on a tie
+function snapToScale(pitch, key, scale) {
+  for (let distance = 0; distance < 12; distance++) {
+    if (pitch - distance >= 0 && isInScale(pitch - distance, key, scale)) return pitch - distance;
+    if (pitch + distance <= 127 && isInScale(pitch + distance, key, scale)) return pitch + distance;
+  }
+  return pitch;
+}
+
+// Instruments a notes clip can play: everything except drums
+function getPitchedSampleIds() {
+  return [
+    ...Object.keys(sampleData).filter(id => sampleData[id].category !== 'drums'),
+    ...Object.values(userSamples).filter(sample => sample.category !== 'drums').map(sample => sample.id)
+  ];
+}
+
+// Pitched hits for the notes of a clip, cut off at the clip end
+function getNoteHits(clip) {
+  const clipStart = positionToTicks(clip.position);
+  
+  return clip.notes
+    .filter(note => note.start < clip.lengthTicks)
+    .map(note => ({
+      sampleId: clip.sampleId,
+      pitch: note.pitch,
+      gate: true,
+      position: ticksToPosition(clipStart + note.start),
+      volume: clip.volume * note.velocity,
+      duration: ticksToSeconds(clipStart + Math.min(note.start + note.length, clip.lengthTicks)) - ticksToSeconds(clipStart + note.start)
+    }));
+}
+
+function addNote(clip, note) {
+  executeCommand({
+    label: 'Add Note',
+    do: () => clip.notes.push(note),
+    undo: () => clip.notes.splice(clip.notes.indexOf(note), 1)
+  });
+}
+
+function removeNote(clip, note) {
+  const index = clip.notes.indexOf(note);
+  executeCommand({
+    label: 'Delete Note',
+    do: () => clip.notes.splice(clip.notes.indexOf(note), 1),
+    undo: () => clip.notes.splice(index, 0, note)
+  });
+}
+
+// Start a one-bar notes clip on the first free bar of a track and open it
+async function addNotesClip(track) {
+  initAudioContext();
+  const sampleId = 'lead';
+  await loadSample(sampleId);
+  
+  const position = ticksToPosition(getFreeBarTicks(track));
+  const clip = {
+    type: 'notes',
+    sampleId,
+    name: getSampleInfo(sampleId).name,
+    position,
+    volume: 0.8,
+    lengthTicks: getMeterBarTicks(getMeterAt(position.bar)),
+    notes: [],
+    scaleKey: 0,
+    scale: 'chromatic'
+  };
+  addSampleEvent(track, clip);
+  openNotesEditor(clip);
+}
+
+// Piano roll dialog for a notes clip. Click the grid to add a note, click a
+// note to select it, click the selected note again to delete it.
+function openNotesEditor(clip) {
+  const rootNote = getSampleInfo(clip.sampleId)?.rootNote ?? DEFAULT_ROOT_NOTE;
+  let lowestPitch = Math.max(0, Math.floor(rootNote / 12) * 12 - 12); // Bottom row of the view
+  let newNoteSteps = NOTE_LENGTHS['1/8'];
+  let selected = null;
+  
+  const modal = openModal('🎹 Piano Roll', { onClose: () => { activeEditor = null; } });
+  modal.body.closest('.modal').classList.add('modal-wide');
+  modal.body.innerHTML = `
+    <div class="sequencer-settings">
+      <label class="form-row">
+        <span>Instrument</span>
+        <select class="notes-instrument"></select>
+      </label>
+      <label class="form-row">
+        <span>Clip length (bars)</span>
+        <input type="number" class="notes-bars" min="1" max="16" step="1">
+      </label>
+      <label class="form-row">
+        <span>Key</span>
+        <select class="notes-key">
+          ${NOTE_NAMES.map((name, key) => `<option value="${key}">${name}</option>`).join('')}
+        </select>
+      </label>
+      <label class="form-row">
+        <span>Scale lock</span>
+        <select class="notes-scale">
+          ${Object.entries(SCALES).map(([id, scale]) => `<option value="${id}">${scale.name}</option>`).join('')}
+        </select>
+      </label>
+      <label class="form-row">
+        <span>New note length</span>
+        <select class="notes-length">
+          ${Object.entries(NOTE_LENGTHS).map(([name, steps]) => `<option value="${steps}">${name}</option>`).join('')}
+        </select>
+      </label>
+      <div class="form-row">
+        <span>Octave</span>
+        <span>
+          <button class="notes-octave-down" title="Show lower notes">▼</button>
+          <button class="notes-octave-up" title="Show higher notes">▲</button>
+        </span>
       </div>
-    `;
-    trackEl.appendChild(header);
+    </div>
+    <div class="piano-roll"></div>
+    <div class="sequencer-step-controls">
+      <p class="export-summary"></p>
+      <label class="form-row">
+        <span>Velocity</span>
+        <input type="range" class="note-velocity" min="0.05" max="1" step="0.01">
+      </label>
+      <label class="form-row">
+        <span>Length (16ths)</span>
+        <input type="number" class="note-length" min="1" step="1">
+      </label>
+      <div class="modal-actions">
+        <button class="note-down">▼ Pitch</button>
+        <button class="note-up">▲ Pitch</button>
+        <button class="note-delete">🗑️ Delete Note</button>
+      </div>
+    </div>
+  `;
+  
+  const instrumentSelect = modal.body.querySelector('.notes-instrument');
+  const barsInput = modal.body.querySelector('.notes-bars');
+  const keySelect = modal.body.querySelector('.notes-key');
+  const scaleSelect = modal.body.querySelector('.notes-scale');
+  const lengthSelect = modal.body.querySelector('.notes-length');
+  const roll = modal.body.querySelector('.piano-roll');
+  const noteControls = modal.body.querySelector('.sequencer-step-controls');
+  const velocitySlider = modal.body.querySelector('.note-velocity');
+  const noteLengthInput = modal.body.querySelector('.note-length');
+  
+  getPitchedSampleIds().forEach(sampleId => {
+    const option = document.createElement('option');
+    option.value = sampleId;
+    option.textContent = getSampleInfo(sampleId).name;
+    instrumentSelect.appendChild(option);
+  });
+  lengthSelect.value = newNoteSteps;
+  
+  instrumentSelect.addEventListener('change', async () => {
+    const sampleId = instrumentSelect.value;
+    await loadSample(sampleId);
+    beginHistoryGroup('Change Instrument');
+    try {
+      setProperty(clip, 'sampleId', sampleId, 'Change Instrument');
+      setProperty(clip, 'name', getSampleInfo(sampleId).name, 'Change Instrument');
+    } finally {
+      endHistoryGroup();
+    }
+  });
+  
+  barsInput.addEventListener('change', () => {
+    const bars = Math.max(1, Math.min(16, parseInt(barsInput.value) || 1));
+    setProperty(clip, 'lengthTicks', bars * getMeterBarTicks(getMeterAt(clip.position.bar)), 'Clip Length');
+    barsInput.value = bars;
+  });
+  
+  // Changing the lock moves existing notes into the new scale, as one step
+  const setScale = (scaleKey, scale) => {
+    beginHistoryGroup('Scale Lock');
+    try {
+      setProperty(clip, 'scaleKey', scaleKey, 'Scale Lock');
+      setProperty(clip, 'scale', scale, 'Scale Lock');
+      clip.notes.forEach(note => {
+        setProperty(note, 'pitch', snapToScale(note.pitch, scaleKey, scale), 'Scale Lock');
+      });
+    } finally {
+      endHistoryGroup();
+    }
+  };
+  keySelect.addEventListener('change', () => setScale(parseInt(keySelect.value), clip.scale));
+  scaleSelect.addEventListener('change', () => setScale(clip.scaleKey, scaleSelect.value));
+  
+  lengthSelect.addEventListener('change', () => {
+    newNoteSteps = parseInt(lengthSelect.value);
+  });
+  
+  modal.body.querySelector('.notes-octave-down').addEventListener('click', () => {
+    lowestPitch = Math.max(0, lowestPitch - 12);
+    render();
+  });
+  modal.body.querySelector('.notes-octave-up').addEventListener('click', () => {
+    lowestPitch = Math.min(127 - PIANO_ROLL_ROWS + 1, lowestPitch + 12);
+    render();
+  });
+  
+  bindSliderToHistory(velocitySlider, 'Note Velocity',
+    () => selected.velocity,
+    value => { selected.velocity = value; });
+  
+  noteLengthInput.addEventListener('change', () => {
+    const maxSteps = Math.max(1, Math.round((clip.lengthTicks - selected.start) / NOTE_STEP_TICKS));
+    const steps = Math.max(1, Math.min(maxSteps, parseInt(noteLengthInput.value) || 1));
+    setProperty(selected, 'length', steps * NOTE_STEP_TICKS, 'Note Length');
+  });
+  
+  // Move the selected note to the next pitch up or down in the scale
+  const transposeSelected = direction => {
+    let pitch = selected.pitch + direction;
+    while (pitch >= 0 && pitch <= 127 && !isInScale(pitch, clip.scaleKey, clip.scale)) {
+      pitch += direction;
+    }
+    if (pitch >= 0 && pitch <= 127) {
+      setProperty(selected, 'pitch', pitch, 'Move Note');
+    }
+  };
+  modal.body.querySelector('.note-down').addEventListener('click', () => transposeSelected(-1));
+  modal.body.querySelector('.note-up').addEventListener('click', () => transposeSelected(1));
+  modal.body.querySelector('.note-delete').addEventListener('click', () => {
+    const note = selected;
+    selected = null;
+    removeNote(clip, note);
+  });
+  
+  const render = () => {
+    // The clip is gone, e.g. adding it was undone
+    if (!tracks.some(track => track.events.includes(clip))) {
+      modal.close();
+      return;
+    }
+    if (selected && !clip.notes.includes(selected)) {
+      selected = null;
+    }
     
-    // Event listeners for track controls
-    header.querySelector('.volume-control').addEventListener('input', e => {
-      track.volume = parseFloat(e.target.value);
-    });
+    instrumentSelect.value = clip.sampleId;
+    // Bars in the time signature the clip starts in
+    barsInput.value = clip.lengthTicks / getMeterBarTicks(getMeterAt(clip.position.bar));
+    keySelect.value = clip.scaleKey;
+    scaleSelect.value = clip.scale;
     
-    header.querySelector('.play-track').addEventListener('click', e => {
-      e.stopPropagation();
-      playTrack(trackIndex);
-    });
+    const steps = clip.lengthTicks / NOTE_STEP_TICKS;
+    roll.innerHTML = '';
+    roll.style.setProperty('--steps', steps);
     
-    header.querySelector('.loop-toggle').addEventListener('click', e => {
-      track.loop = !track.loop;
-      renderTracks();
-    });
+    for (let pitch = lowestPitch + PIANO_ROLL_ROWS - 1; pitch >= lowestPitch; pitch--) {
+      const row = document.createElement('div');
+      row.className = 'piano-roll-row';
+      row.classList.toggle('black-key', NOTE_NAMES[pitch % 12].includes('#'));
+      row.classList.toggle('out-of-scale', !isInScale(pitch, clip.scaleKey, clip.scale));
+      
+      const label = document.createElement('span');
+      label.className = 'piano-roll-label';
+      label.textContent = noteName(pitch);
+      row.appendChild(label);
+      
+      const lane = document.createElement('div');
+      lane.className = 'piano-roll-lane';
+      lane.addEventListener('click', e => {
+        const rect = lane.getBoundingClientRect();
+        const step = Math.floor(((e.clientX - rect.left) / rect.width) * steps);
+        const start = Math.max(0, Math.min(steps - 1, step)) * NOTE_STEP_TICKS;
+        const note = {
+          pitch: snapToScale(pitch, clip.scaleKey, clip.scale),
+          start,
+          length: Math.min(newNoteSteps * NOTE_STEP_TICKS, clip.lengthTicks - start),
+          velocity: 0.8
+        };
+        selected = note;
+        addNote(clip, note);
+      });
+      
+      clip.notes.filter(note => note.pitch === pitch).forEach(note => {
+        const noteEl = document.createElement('div');
+        noteEl.className = 'piano-roll-note';
+        noteEl.classList.toggle('selected', note === selected);
+        noteEl.style.left = `${(note.start / clip.lengthTicks) * 100}%`;
+        noteEl.style.width = `${(Math.min(note.length, clip.lengthTicks - note.start) / clip.lengthTicks) * 100}%`;
+        noteEl.style.opacity = 0.4 + 0.6 * note.velocity;
+        noteEl.title = `${noteName(note.pitch)}, velocity ${Math.round(note.velocity * 100)}%`;
+        noteEl.addEventListener('click', e => {
+          e.stopPropagation();
+          if (note === selected) {
+            selected = null;
+            removeNote(clip, note);
+          } else {
+            selected = note;
+            render();
+          }
+        });
+        lane.appendChild(noteEl);
+      });
+      
+      row.appendChild(lane);
+      roll.appendChild(row);
+    }
     
-    header.querySelector('.mute-toggle').addEventListener('click', e => {
-      track.muted = !track.muted;
-      renderTracks();
+    noteControls.hidden = !selected;
+    if (selected) {
+      noteControls.querySelector('.export-summary').textContent =
+        `${noteName(selected.pitch)} at ${formatPosition(ticksToPosition(selected.start))} of the clip`;
+      velocitySlider.value = selected.velocity;
+      noteLengthInput.value = Math.round(selected.length / NOTE_STEP_TICKS);
+    }
+  };
+  
+  activeEditor = render;
+  render();
+}
+
+// MIDI import/export (Standard MIDI File)
+// Drums map to General MIDI percussion on channel 10; every other instrument
+// plays the note configured for it in the MIDI dialog.
+const MIDI_DRUM_CHANNEL = 9; // Channel 10, counted from zero
+const MIDI_DRUM_NOTES = {
+  kick: 36,
+  snare: 38,
+  hihat: 42,
+  crash: 49,
+  ride: 51,
+  tom: 45
+};
+
+// Other GM percussion notes and the drum each one imports as
+const MIDI_DRUM_ALIASES = {
+  35: 'kick', 37: 'snare', 39: 'snare', 40: 'snare',
+  41: 'tom', 43: 'tom', 47: 'tom', 48: 'tom', 50: 'tom',
+  44: 'hihat', 46: 'hihat',
+  52: 'crash', 55: 'crash', 57: 'crash',
+  53: 'ride', 59: 'ride'
+};
+
+const DEFAULT_MIDI_NOTES = {
+  bass1: 40,
+  bass2: 43,
+  subbass: 28,
+  synthbass: 45,
+  lead: 69,
+  pad: 57,
+  pluck: 76,
+  arp: 81,
+  vocal: 60,
+  fx: 72
+};
+const MIDI_NOTES_STORAGE_KEY = 'music-maker-midi-notes';
+
+// Note assignments for non-drum instruments, including the user's changes
+function loadMidiNoteMap() {
+  try {
+    return { ...DEFAULT_MIDI_NOTES, ...JSON.parse(localStorage.getItem(MIDI_NOTES_STORAGE_KEY) || '{}') };
+  } catch (error) {
+    return { ...DEFAULT_MIDI_NOTES };
+  }
+}
+
+function saveMidiNoteMap(noteMap) {
+  localStorage.setItem(MIDI_NOTES_STORAGE_KEY, JSON.stringify(noteMap));
+}
+
+function writeVarLength(value, bytes) {
+  const groups = [value & 0x7F];
+  while ((value >>= 7) > 0) {
+    groups.unshift((value & 0x7F) | 0x80);
+  }
+  bytes.push(...groups);
+}
+
+function metaTextEvent(type, text) {
+  const data = [0xFF, type];
+  const textBytes = new TextEncoder().encode(text);
+  writeVarLength(textBytes.length, data);
+  data.push(...textBytes);
+  return data;
+}
+
+// Build an MTrk chunk from [{ tick, order, data }]. At equal ticks lower
+// `order` goes first, so a note-off always precedes the next note-on.
+function buildMidiTrackChunk(events) {
+  const bytes = [];
+  let lastTick = 0;
+  
+  events
+    .sort((a, b) => a.tick - b.tick || a.order - b.order)
+    .forEach(event => {
+      writeVarLength(event.tick - lastTick, bytes);
+      bytes.push(...event.data);
+      lastTick = event.tick;
     });
+  
+  // End of track
+  bytes.push(0x00, 0xFF, 0x2F, 0x00);
+  
+  const chunk = new Uint8Array(8 + bytes.length);
+  const view = new DataView(chunk.buffer);
+  chunk.set([0x4D, 0x54, 0x72, 0x6B]); // 'MTrk'
+  view.setUint32(4, bytes.length);
+  chunk.set(bytes, 8);
+  return chunk;
+}
+
+// Channel for a track's pitched instruments, skipping the drum channel
+function midiChannelForTrack(trackIndex) {
+  const channel = trackIndex % 15;
+  return channel >= MIDI_DRUM_CHANNEL ? channel + 1 : channel;
+}
+
+// Tempo map as conductor track events: a tempo event for each tempo change,
+// stepped once a beat through ramps, and a time signature event for each
+// time signature change
+function getMidiTempoEvents() {
+  const events = [];
+  const addTempo = (tick, tempo) => {
+    const microsecondsPerBeat = Math.round(60000000 / tempo);
+    events.push({ tick: Math.round(tick), order: -1, data: [0xFF, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF] });
+  };
+  
+  getTempoSegments().forEach(segment => {
+    if (segment.endBpm === segment.bpm) {
+      addTempo(segment.ticks, segment.bpm);
+      return;
+    }
+    // Each step keeps the tempo that makes its beat last as long as in the ramp
+    for (let tick = segment.ticks; tick < segment.endTicks; tick += TICKS_PER_BEAT) {
+      const step = Math.min(TICKS_PER_BEAT, segment.endTicks - tick);
+      addTempo(tick, 60 * (step / TICKS_PER_BEAT) / (ticksToSeconds(tick + step) - ticksToSeconds(tick)));
+    }
+  });
+  getMeterSegments().forEach(meter => {
+    events.push({ tick: meter.ticks, order: -1, data: [0xFF, 0x58, 0x04, meter.numerator, Math.log2(meter.denominator), 24, 8] });
+  });
+  return events;
+}
+
+// Encode the arrangement as a format 1 MIDI file: a conductor track with
+// the tempo map, then one MIDI track per track. Pattern and notes clips are
+// written out hit by hit. Hits with no MIDI equivalent (recordings and
+// unpitched user samples) are skipped and counted.
+function exportMidi() {
+  const noteMap = loadMidiNoteMap();
+  let skipped = 0;
+  
+  const conductor = [
+    { tick: 0, order: -1, data: metaTextEvent(0x03, 'Music Maker') },
+    ...getMidiTempoEvents()
+  ];
+  const chunks = [buildMidiTrackChunk(conductor)];
+  
+  tracks.forEach((track, trackIndex) => {
+    const events = [{ tick: 0, order: -1, data: metaTextEvent(0x03, getTrackName(track)) }];
     
-    header.querySelector('.delete-track').addEventListener('click', e => {
-      e.stopPropagation();
-      deleteTrack(trackIndex);
+    track.events.flatMap(getEventHits).forEach(event => {
+      const isDrum = event.pitch === undefined && event.sampleId in MIDI_DRUM_NOTES;
+      const note = event.pitch ?? (isDrum ? MIDI_DRUM_NOTES[event.sampleId] : noteMap[event.sampleId]);
+      if (note === undefined) {
+        skipped++;
+        return;
+      }
+      
+      const channel = isDrum ? MIDI_DRUM_CHANNEL : midiChannelForTrack(trackIndex);
+      const start = Math.round(positionToTicks(event.position));
+      const length = Math.max(1, Math.round(eventLengthTicks(event)));
+      const velocity = Math.max(1, Math.min(127, Math.round(event.volume * 127)));
+      
+      events.push({ tick: start, order: 1, data: [0x90 | channel, note, velocity] });
+      events.push({ tick: start + length, order: 0, data: [0x80 | channel, note, 0] });
     });
     
-    // Track click to select
-    trackEl.addEventListener('click', () => {
-      selectedTrackIndex = trackIndex;
-      renderTracks();
-    });
+    chunks.push(buildMidiTrackChunk(events));
+  });
+  
+  const header = new Uint8Array(14);
+  const view = new DataView(header.buffer);
+  header.set([0x4D, 0x54, 0x68, 0x64]); // 'MThd'
+  view.setUint32(4, 6);
+  view.setUint16(8, 1); // Format 1: simultaneous tracks
+  view.setUint16(10, chunks.length);
+  view.setUint16(12, TICKS_PER_BEAT);
+  
+  return { data: new Blob([header, ...chunks], { type: 'audio/midi' }), skipped };
+}
+
+// Parse a Standard MIDI File into notes per track, plus its tempo and time
+// signature events
+function parseMidi(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const view = new DataView(arrayBuffer);
+  const readId = offset => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  
+  if (bytes.length < 14 || readId(0) !== 'MThd') {
+    throw new Error('This file is not a MIDI file.');
+  }
+  const headerLength = view.getUint32(4);
+  const format = view.getUint16(8);
+  const division = view.getUint16(12);
+  if (division & 0x8000) {
+    throw new Error('MIDI files with SMPTE timing are not supported.');
+  }
+  
+  const result = { format, division, tempos: [], meters: [], tracks: [] };
+  let offset = 8 + headerLength;
+  
+  while (offset + 8 <= bytes.length) {
+    const chunkId = readId(offset);
+    const chunkLength = view.getUint32(offset + 4);
+    const chunkStart = offset + 8;
+    offset = chunkStart + chunkLength;
+    if (chunkId !== 'MTrk') continue;
     
-    // Setup drag and drop
-    trackEl.addEventListener('dragover', e => e.preventDefault());
-    trackEl.addEventListener('drop', async e => {
-      e.preventDefault();
-      initAudioContext();
-      const name = e.dataTransfer.getData('text');
-      const buffer = await loadSample(name);
-      const rect = trackEl.getBoundingClientRect();
-      const x = e.clientX - rect.left;
-      const time = (x / rect.width) * totalDuration; // Use dynamic duration
-      
-      track.events.push({ 
-        buffer, 
-        time, 
-        name, 
-        volume: 0.8,
-        duration: sampleData[name]?.duration || 1.0
-      });
-      renderTracks();
-    });
+    result.tracks.push(parseMidiTrack(bytes, chunkStart, Math.min(offset, bytes.length), result));
+  }
+  
+  result.tempos.sort((a, b) => a.tick - b.tick);
+  result.meters.sort((a, b) => a.tick - b.tick);
+  return result;
+}
+
+function parseMidiTrack(bytes, start, end, result) {
+  const track = { name: '', notes: [] };
+  const openNotes = new Map(); // channel/note -> stack of note-ons
+  let pos = start;
+  let tick = 0;
+  let runningStatus = null;
+  
+  const readVarLength = () => {
+    let value = 0;
+    let byte;
+    do {
+      byte = bytes[pos++];
+      value = (value << 7) | (byte & 0x7F);
+    } while (byte & 0x80 && pos < end);
+    return value;
+  };
+  
+  const closeNote = (channel, note) => {
+    const stack = openNotes.get(channel * 128 + note);
+    const noteOn = stack && stack.shift();
+    if (noteOn) {
+      track.notes.push({ channel, note, velocity: noteOn.velocity, startTick: noteOn.tick, endTick: tick });
+    }
+  };
+  
+  while (pos < end) {
+    tick += readVarLength();
     
-    // Draw sample events
-    track.events.forEach((event, eventIndex) => {
-      const eventEl = document.createElement('div');
-      eventEl.className = 'sample-event';
-      const leftPercent = (event.time / totalDuration) * 100; // Use dynamic duration
-      const widthPercent = (event.duration / totalDuration) * 100;
-      
-      eventEl.style.left = `${Math.min(leftPercent, 95)}%`;
-      eventEl.style.width = `${Math.min(widthPercent, 100 - leftPercent)}%`;
-      eventEl.style.backgroundColor = sampleData[event.name]?.color || 'rgba(255,255,255,0.3)';
+    let status = bytes[pos];
+    if (status < 0x80) {
+      // Running status: reuse the previous channel message status
+      if (runningStatus === null) {
+        throw new Error('Malformed MIDI track.');
+      }
+      status = runningStatus;
+    } else {
+      pos++;
+    }
+    
+    if (status === 0xFF) {
+      const type = bytes[pos++];
+      const length = readVarLength();
+      const data = bytes.subarray(pos, pos + length);
+      pos += length;
+      runningStatus = null;
       
-      // Create the main content
-      const contentDiv = document.createElement('div');
-      contentDiv.className = 'sample-content';
-      contentDiv.textContent = event.name;
-      eventEl.appendChild(contentDiv);
+      if (type === 0x51 && length === 3) {
+        result.tempos.push({ tick, bpm: 60000000 / ((data[0] << 16) | (data[1] << 8) | data[2]) });
+      } else if (type === 0x58 && length >= 2) {
+        result.meters.push({ tick, numerator: data[0], denominator: 2 ** data[1] });
+      } else if (type === 0x03 && !track.name) {
+        track.name = new TextDecoder().decode(data);
+      } else if (type === 0x2F) {
+        break;
+      }
+    } else if (status === 0xF0 || status === 0xF7) {
+      // System exclusive data is skipped
+      pos += readVarLength();
+      runningStatus = null;
+    } else {
+      runningStatus = status;
+      const type = status & 0xF0;
+      const channel = status & 0x0F;
+      const data1 = bytes[pos++];
+      const data2 = type === 0xC0 || type === 0xD0 ? 0 : bytes[pos++];
       
-      // Create delete button
-      const deleteBtn = document.createElement('button');
-      deleteBtn.className = 'delete-sample';
-      deleteBtn.title = 'Delete';
-      deleteBtn.innerHTML = '×';
-      deleteBtn.addEventListener('click', e => {
-        e.stopPropagation();
-        e.preventDefault();
-        deleteSampleEvent(trackIndex, eventIndex);
+      if (type === 0x90 && data2 > 0) {
+        const key = channel * 128 + data1;
+        if (!openNotes.has(key)) openNotes.set(key, []);
+        openNotes.get(key).push({ tick, velocity: data2 });
+      } else if (type === 0x80 || type === 0x90) {
+        closeNote(channel, data1);
+      }
+    }
+  }
+  
+  // Notes left hanging end with the track
+  openNotes.forEach((stack, key) => {
+    while (stack.length) {
+      closeNote(Math.floor(key / 128), key % 128);
+    }
+  });
+  
+  track.notes.sort((a, b) => a.startTick - b.startTick);
+  return track;
+}
+
+// Rebuild the tempo map from a MIDI file's tempo and time signature events.
+// Changes land on bar lines. Tempo events at most a beat apart are read as
+// a ramp, as exportMidi() steps one, with a ramped change on every bar line
+// the steps cross; each step's tempo is the ramp's halfway through it. Time
+// signatures the tempo track cannot show are skipped. `bpm` is null when
+// the file does not set the starting tempo.
+function getMidiTempoMap(midi) {
+  const toTicks = tick => Math.round((tick * TICKS_PER_BEAT) / midi.division);
+  const meters = [];
+  let segments = buildMeterSegments(meters);
+  // Bar a tick falls in, with the fraction of the bar before it
+  const barAt = ticks => {
+    const meter = segments.findLast(segment => segment.ticks <= ticks);
+    return meter.bar + (ticks - meter.ticks) / getMeterBarTicks(meter);
+  };
+  
+  midi.meters.forEach(({ tick, numerator, denominator }) => {
+    if (numerator < 1 || numerator > MAX_METER_NUMERATOR || !METER_DENOMINATORS.includes(denominator)) return;
+    const bar = Math.round(barAt(toTicks(tick)));
+    if (meters[meters.length - 1]?.bar === bar) meters.pop();
+    const current = meters[meters.length - 1] || DEFAULT_METER;
+    if (current.numerator !== numerator || current.denominator !== denominator) {
+      meters.push({ bar, numerator, denominator });
+    }
+    segments = buildMeterSegments(meters);
+  });
+  
+  const events = midi.tempos.map(({ tick, bpm }) => ({ ticks: toTicks(tick), bpm }));
+  const runs = [];
+  events.forEach((event, index) => {
+    if (events[index + 1]?.ticks === event.ticks) return;
+    const run = runs[runs.length - 1];
+    if (run && event.ticks - run[run.length - 1].ticks <= TICKS_PER_BEAT) {
+      run.push(event);
+    } else {
+      runs.push([event]);
+    }
+  });
+  
+  const changes = [];
+  const addChange = (bar, tempo, ramp, step = false) => {
+    if (changes[changes.length - 1]?.bar === bar) changes.pop();
+    changes.push({ bar, bpm: tempo, ramp, step });
+  };
+  runs.forEach(run => {
+    const [first, second] = run;
+    if (!second) {
+      addChange(Math.floor(barAt(first.ticks)), first.bpm, false);
+      return;
+    }
+    addChange(Math.floor(barAt(first.ticks)), first.bpm - (second.bpm - first.bpm) / 2, false);
+    run.slice(1, -1).forEach((step, index) => {
+      const bar = barAt(step.ticks);
+      if (Number.isInteger(bar)) addChange(bar, (run[index].bpm + step.bpm) / 2, true, true);
+    });
+    const last = run[run.length - 1];
+    addChange(Math.ceil(barAt(last.ticks)), last.bpm, true);
+  });
+  
+  // A bar line inside a ramp needs no change of its own when the ramp
+  // carries on at the same rate across it
+  const barTicks = bar => {
+    const meter = segments.findLast(segment => segment.bar <= bar);
+    return meter.ticks + (bar - meter.bar) * getMeterBarTicks(meter);
+  };
+  const tempos = changes.filter((change, index) => {
+    const previous = changes[index - 1];
+    const next = changes[index + 1];
+    if (!change.step || !next?.ramp) return true;
+    const progress = (barTicks(change.bar) - barTicks(previous.bar)) / (barTicks(next.bar) - barTicks(previous.bar));
+    return Math.abs(previous.bpm + (next.bpm - previous.bpm) * progress - change.bpm) > 1;
+  }).map(({ bar, bpm, ramp }) => ({ bar, bpm: Math.max(MIN_BPM, Math.min(MAX_BPM, Math.round(bpm))), ramp }));
+  
+  const start = tempos[0]?.bar === 0 ? tempos.shift() : null;
+  return { bpm: start ? start.bpm : null, tempoMap: { tempos, meters } };
+}
+
+// Pick the instrument an imported note plays
+function midiNoteToInstrument(channel, note, noteMap) {
+  const nearest = (candidates) => {
+    let best = null;
+    let bestDistance = Infinity;
+    Object.entries(candidates).forEach(([name, candidateNote]) => {
+      const distance = Math.abs(candidateNote - note);
+      if (distance < bestDistance) {
+        best = name;
+        bestDistance = distance;
+      }
+    });
+    return best;
+  };
+  
+  if (channel === MIDI_DRUM_CHANNEL) {
+    const exact = Object.keys(MIDI_DRUM_NOTES).find(name => MIDI_DRUM_NOTES[name] === note);
+    return exact || MIDI_DRUM_ALIASES[note] || nearest(MIDI_DRUM_NOTES);
+  }
+  return nearest(noteMap);
+}
+
+// Add the notes of a MIDI file to the session as new tracks, as one undo step
+async function importMidi(arrayBuffer) {
+  const midi = parseMidi(arrayBuffer);
+  const noteMap = loadMidiNoteMap();
+  const midiTracks = midi.tracks.filter(midiTrack => midiTrack.notes.length > 0);
+  if (midiTracks.length === 0) {
+    throw new Error('The MIDI file contains no notes.');
+  }
+  
+  initAudioContext();
+  
+  // Everything is decoded before the undo step opens, so it is filled in
+  // one go and nothing done meanwhile ends up in it
+  const instruments = midiTracks.map(midiTrack => midiTrack.notes.map(note => midiNoteToInstrument(note.channel, note.note, noteMap)));
+  await Promise.all([...new Set(instruments.flat())].filter(getSampleInfo).map(loadSample));
+  
+  const midiTempo = getMidiTempoMap(midi);
+  let noteCount = 0;
+  beginHistoryGroup('Import MIDI');
+  try {
+    if (midiTempo.bpm) {
+      const before = bpm;
+      executeCommand({
+        label: 'Set Tempo',
+        do: () => setBPM(midiTempo.bpm),
+        undo: () => setBPM(before)
       });
-      eventEl.appendChild(deleteBtn);
+    }
+    // Notes land on the file's bars and beats, so its tempo map comes first
+    if ((midi.tempos.length || midi.meters.length) && JSON.stringify(midiTempo.tempoMap) !== JSON.stringify(tempoMap)) {
+      updateTempoMap(midiTempo.tempoMap, 'Set Tempo Map');
+    }
+    
+    midiTracks.forEach((midiTrack, trackIndex) => {
+      const track = tracks[createTrack()];
       
-      // Create volume slider
-      const volumeSlider = document.createElement('input');
-      volumeSlider.type = 'range';
-      volumeSlider.min = '0';
-      volumeSlider.max = '1';
-      volumeSlider.step = '0.01';
-      volumeSlider.value = event.volume;
-      volumeSlider.className = 'sample-volume';
-      volumeSlider.title = `Volume: ${Math.round(event.volume * 100)}%`;
-      volumeSlider.addEventListener('input', e => {
-        e.stopPropagation();
-        e.preventDefault();
-        event.volume = parseFloat(e.target.value);
-        e.target.title = `Volume: ${Math.round(event.volume * 100)}%`;
+      midiTrack.notes.forEach((note, noteIndex) => {
+        const startTicks = (note.startTick * TICKS_PER_BEAT) / midi.division;
+        const endTicks = (note.endTick * TICKS_PER_BEAT) / midi.division;
+        // Drum hits ring out whatever their note-off; other notes are cut
+        // to their length, but never run past the sample
+        const length = note.channel === MIDI_DRUM_CHANNEL
+          ? undefined
+          : Math.max(MIN_CLIP_DURATION, ticksToSeconds(endTicks) - ticksToSeconds(startTicks));
+        placeLoadedSample(track, instruments[trackIndex][noteIndex], ticksToPosition(startTicks), note.velocity / 127, length);
+        noteCount++;
       });
-      volumeSlider.addEventListener('mousedown', e => e.stopPropagation());
-      volumeSlider.addEventListener('touchstart', e => e.stopPropagation());
-      eventEl.appendChild(volumeSlider);
-      
-      // Setup dragging for this sample event
-      setupSampleDragging(eventEl, trackIndex, eventIndex);
-      
-      trackEl.appendChild(eventEl);
     });
-    
-    container.appendChild(trackEl);
+  } finally {
+    endHistoryGroup();
+  }
+  
+  return { trackCount: midiTracks.length, noteCount };
+}
+
+// MIDI dialog: export, import and the note used for each pitched instrument
+function openMidiDialog() {
+  const noteMap = loadMidiNoteMap();
+  const modal = openModal('🎼 MIDI');
+  modal.body.innerHTML = `
+    <p>Drums use General MIDI percussion on channel 10. Other instruments play these notes:</p>
+    <div class="midi-note-map"></div>
+    <input type="file" class="midi-file" accept=".mid,.midi,audio/midi" hidden>
+    <div class="modal-actions">
+      <button class="midi-import">📥 Import .mid</button>
+      <button class="midi-export">📤 Export .mid</button>
+    </div>
+  `;
+  
+  const mapEl = modal.body.querySelector('.midi-note-map');
+  Object.keys(DEFAULT_MIDI_NOTES).forEach(name => {
+    const row = document.createElement('label');
+    row.className = 'form-row';
+    row.innerHTML = `<span></span><input type="number" min="0" max="127" step="1">`;
+    row.querySelector('span').textContent = name;
+    const input = row.querySelector('input');
+    input.value = noteMap[name];
+    input.addEventListener('change', () => {
+      const note = parseInt(input.value);
+      if (Number.isInteger(note) && note >= 0 && note <= 127) {
+        noteMap[name] = note;
+        saveMidiNoteMap(noteMap);
+      } else {
+        input.value = noteMap[name];
+      }
+    });
+    mapEl.appendChild(row);
   });
   
-  // Update timeline ruler to show correct duration
-  updateTimelineRuler(totalDuration);
+  modal.body.querySelector('.midi-export').addEventListener('click', () => {
+    const { data, skipped } = exportMidi();
+    downloadBlob(data, `music-maker-${Date.now()}.mid`);
+    if (skipped > 0) {
+      alert(`${skipped} clip${skipped === 1 ? '' : 's'} with recorded audio or your own samples ${skipped === 1 ? 'was' : 'were'} left out, as MIDI has no equivalent.`);
+    }
+  });
   
-  // Update all track play button states after rendering
-  tracks.forEach((track, index) => {
-    updateTrackPlayButton(index);
+  const fileInput = modal.body.querySelector('.midi-file');
+  modal.body.querySelector('.midi-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async e => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    try {
+      const { trackCount, noteCount } = await importMidi(await file.arrayBuffer());
+      showNotification(`Imported ${noteCount} note${noteCount === 1 ? '' : 's'} on ${trackCount} track${trackCount === 1 ? '' : 's'} from ${file.name}.`);
+      modal.close();
+    } catch (error) {
+      console.error('Error importing MIDI:', error);
+      alert(`Could not import MIDI: ${error.message}`);
+    }
+    fileInput.value = '';
   });
 }
 
-// Update timeline ruler with dynamic duration
-function updateTimelineRuler(totalDuration) {
-  const ruler = document.querySelector('.timeline-ruler');
-  if (!ruler) return;
+// Project file format
+const PROJECT_FORMAT = 'music-maker-project';
+const PROJECT_SCHEMA_VERSION = 14;
+
+// Migration hooks, keyed by the schema version they upgrade from.
+// Each hook receives a project at version N and returns it at version N + 1,
+// so a file from any older version is walked forward one step at a time.
+const projectMigrations = {
+  // v1 stored event times in seconds; v2 stores bar/beat/tick positions
+  1: project => ({
+    ...project,
+    version: 2,
+    tracks: project.tracks.map(track => ({
+      ...track,
+      events: track.events.map(({ time, ...event }) => {
+        // v1 had no time signatures, so its bars are 4/4 whatever the
+        // session's tempo map
+        const ticks = Math.max(0, Math.round((time * project.bpm / 60) * TICKS_PER_BEAT));
+        const beats = Math.floor(ticks / TICKS_PER_BEAT);
+        return {
+          ...event,
+          position: { bar: Math.floor(beats / BEATS_PER_BAR), beat: beats % BEATS_PER_BAR, tick: ticks % TICKS_PER_BEAT }
+        };
+      })
+    }))
+  }),
+  
+  // v3 refers to samples by id and can carry user samples with it
+  2: project => ({
+    ...project,
+    version: 3,
+    samples: [],
+    tracks: project.tracks.map(track => ({
+      ...track,
+      events: track.events.map(event => ({
+        ...event,
+        sampleId: event.name === 'recorded' ? null : event.name
+      }))
+    }))
+  }),
+  
+  // v4 adds step sequencer patterns
+  3: project => ({
+    ...project,
+    version: 4,
+    patterns: []
+  }),
+  
+  // v5 adds piano roll notes clips; older files have none to convert
+  4: project => ({
+    ...project,
+    version: 5
+  }),
+  
+  // v6 stores per-track synth settings
+  5: project => ({
+    ...project,
+    version: 6,
+    tracks: project.tracks.map(track => ({ ...track, synth: {} }))
+  }),
+  
+  // v7 stores per-track insert effects
+  6: project => ({
+    ...project,
+    version: 7,
+    tracks: project.tracks.map(track => ({ ...track, effects: [] }))
+  }),
+  
+  // v8 adds the mixer: track pan and sends, master and return settings
+  7: project => ({
+    ...project,
+    version: 8,
+    mixer: newMixer(),
+    tracks: project.tracks.map(track => ({ ...track, pan: 0, sends: { reverb: 0, delay: 0 } }))
+  }),
+  
+  // v9 adds automation lanes, which refer to effects by id
+  8: project => ({
+    ...project,
+    version: 9,
+    tracks: project.tracks.map(track => ({
+      ...track,
+      effects: track.effects.map(effect => ({ id: createEffectId(), ...effect })),
+      automation: []
+    }))
+  }),
+  
+  // v10 adds non-destructive clip edits to sample clips
+  9: project => ({
+    ...project,
+    version: 10,
+    tracks: project.tracks.map(track => ({
+      ...track,
+      events: track.events.map(event => event.type ? event : { ...CLIP_DEFAULTS, ...event })
+    }))
+  }),
+  
+  // v11 adds the loop region
+  10: project => ({
+    ...project,
+    version: 11,
+    loopRegion: newLoopRegion()
+  }),
+  
+  // v12 keeps every take of a recorded clip with its comp; older
+  // recordings become a single take
+  11: project => ({
+    ...project,
+    version: 12,
+    tracks: project.tracks.map(track => ({
+      ...track,
+      events: track.events.map(({ audio, ...event }) => audio
+        ? { ...event, takes: [{ audio }], comp: [{ start: 0, take: 0 }] }
+        : event)
+    }))
+  }),
+  
+  // v13 adds the tempo map
+  12: project => ({
+    ...project,
+    version: 13,
+    tempoMap: newTempoMap()
+  }),
+  
+  // v14 gives tracks an id, a name and a color, and adds track folders
+  13: project => ({
+    ...project,
+    version: 14,
+    folders: [],
+    tracks: project.tracks.map((track, index) => ({
+      ...track,
+      id: createTrackId(),
+      name: `Track ${index + 1}`,
+      color: TRACK_COLORS[index % TRACK_COLORS.length],
+      folderId: null
+    }))
+  })
+};
+
+// Upgrade a parsed project document to the current schema version
+function migrateProject(data) {
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error('This file is not a Music Maker project.');
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error('The project file has no valid schema version.');
+  }
+  if (data.version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`This project was saved by a newer version of Music Maker (schema ${data.version}).`);
+  }
+  
+  let project = data;
+  while (project.version < PROJECT_SCHEMA_VERSION) {
+    const migrate = projectMigrations[project.version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema version ${project.version}.`);
+    }
+    project = migrate(project);
+  }
+  return project;
+}
+
+// Build a plain, JSON-safe description of the current session.
+// Recorded clips have no sample to rebuild from, so their audio is embedded:
+// as base64 WAV by default, or as raw PCM ('pcm') for structured-clone storage.
+// User samples the song uses are embedded as their original files unless
+// `embedSamples` is false (autosave, where the local library has them).
+function serializeProject(options = {}) {
+  const audioFormat = options.audioFormat || 'wav';
+  const embedSamples = options.embedSamples !== false;
+  const usedSamples = new Set();
+  const usedPatterns = new Set();
+  const usedFolders = new Set(tracks.map(getTrackFolder).filter(Boolean));
+  
+  tracks.forEach(track => track.events.forEach(event => {
+    if (userSamples[event.sampleId]) {
+      usedSamples.add(userSamples[event.sampleId]);
+    }
+    if (patterns[event.patternId]) {
+      usedPatterns.add(patterns[event.patternId]);
+    }
+  }));
+  // Drum samples played by pattern steps are embedded too
+  usedPatterns.forEach(pattern => getPatternSampleIds(pattern).forEach(sampleId => {
+    if (userSamples[sampleId]) {
+      usedSamples.add(userSamples[sampleId]);
+    }
+  }));
+  
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    bpm,
+    tempoMap,
+    mixer,
+    loopRegion,
+    samples: embedSamples
+      ? [...usedSamples].map(sample => ({ ...toSampleRecord(sample), data: arrayBufferToBase64(sample.data) }))
+      : [],
+    patterns: [...usedPatterns],
+    folders: [...usedFolders],
+    tracks: tracks.map(track => ({
+      id: track.id,
+      name: track.name,
+      color: track.color,
+      folderId: track.folderId,
+      volume: track.volume,
+      loop: track.loop,
+      muted: track.muted,
+      solo: track.solo,
+      synth: track.synth,
+      effects: track.effects,
+      pan: track.pan,
+      sends: track.sends,
+      automation: track.automation,
+      events: track.events.map(event => {
+        if (event.type === 'pattern') {
+          return {
+            type: event.type,
+            patternId: event.patternId,
+            name: event.name,
+            position: event.position,
+            volume: event.volume,
+            repeats: event.repeats
+          };
+        }
+        if (event.type === 'notes') {
+          return {
+            type: event.type,
+            sampleId: event.sampleId,
+            name: event.name,
+            position: event.position,
+            volume: event.volume,
+            lengthTicks: event.lengthTicks,
+            notes: event.notes.map(note => ({ ...note })),
+            scaleKey: event.scaleKey,
+            scale: event.scale
+          };
+        }
+        
+        const data = {
+          sampleId: event.sampleId,
+          name: event.name,
+          position: event.position,
+          volume: event.volume,
+          duration: event.duration
+        };
+        Object.keys(CLIP_DEFAULTS).forEach(key => {
+          data[key] = event[key];
+        });
+        if (event.takes) {
+          data.takes = event.takes.map(take => ({ audio: encodeEmbeddedAudio(take.buffer, audioFormat) }));
+          data.comp = event.comp;
+        }
+        return data;
+      })
+    }))
+  };
+}
+
+// Encode an AudioBuffer for embedding in a project document
+function encodeEmbeddedAudio(buffer, audioFormat) {
+  if (audioFormat === 'pcm') {
+    const channels = [];
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+      channels.push(new Float32Array(buffer.getChannelData(channel)));
+    }
+    return { format: 'pcm', sampleRate: buffer.sampleRate, channels };
+  }
+  
+  // 32-bit float keeps recordings bit-exact through a save/load round trip
+  return { format: 'wav', data: arrayBufferToBase64(audioBufferToWav(buffer, { format: 'float32' })) };
+}
+
+// Turn embedded audio back into an AudioBuffer
+async function decodeEmbeddedAudio(audio) {
+  if (audio.format === 'pcm') {
+    const length = audio.channels[0].length;
+    const buffer = audioCtx.createBuffer(audio.channels.length, length, audio.sampleRate);
+    audio.channels.forEach((data, channel) => buffer.getChannelData(channel).set(data));
+    return buffer;
+  }
+  if (audio.format === 'wav') {
+    return audioCtx.decodeAudioData(base64ToArrayBuffer(audio.data));
+  }
+  throw new Error(`Unsupported embedded audio format: ${audio.format}`);
+}
+
+function arrayBufferToBase64(arrayBuffer) {
+  const bytes = new Uint8Array(arrayBuffer);
+  const chunkSize = 0x8000;
+  let binary = '';
   
-  // Generate time markers based on total duration
-  let markers = '';
-  const step = totalDuration <= 10 ? 1 : Math.ceil(totalDuration / 10);
-  
-  for (let i = 0; i <= totalDuration; i += step) {
-    markers += `${i}s `;
+  // Convert in chunks to stay clear of argument-count limits
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
   }
-  
-  // Update the CSS content
-  const spacing = totalDuration <= 10 ? 80 : (800 / (totalDuration / step));
-  ruler.style.setProperty('--marker-spacing', `${spacing}px`);
-  
-  // Update ruler content
-  ruler.setAttribute('data-markers', markers.trim());
+  return btoa(binary);
 }
 
-// Setup drag and drop for instruments
-function setupInstruments() {
-  document.querySelectorAll('.instrument').forEach(el => {
-    el.addEventListener('dragstart', e => {
-      e.dataTransfer.setData('text', el.dataset.name);
-    });
-  });
+function base64ToArrayBuffer(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
 }
 
-// Play all tracks
-function playAll() {
-  if (isPlaying) return;
-  
+// Replace the session with a project document, rebuilding all audio buffers
+async function loadProject(data) {
+  const project = migrateProject(data);
   initAudioContext();
-  isPlaying = true;
-  audioSources = [];
-  playbackStartTime = audioCtx.currentTime;
-  
-  document.getElementById('play-all').textContent = '⏸️ Playing...';
-  
-  // Start playback position animation
-  playbackPositionInterval = setInterval(updatePlaybackPosition, 50);
   
-  // Calculate tempo-adjusted timing
-  const tempoMultiplier = bpm / 120; // 120 BPM is our base tempo
-  const totalDuration = getTotalDuration();
+  // Samples carried by the file join the local library if they are new here
+  for (const record of project.samples) {
+    if (!userSamples[record.id]) {
+      const sample = await registerUserSample({ ...record, data: base64ToArrayBuffer(record.data) });
+      await saveUserSample(sample);
+    }
+  }
+  renderUserSamples();
   
-  tracks.forEach((track, trackIndex) => {
-    if (track.muted) return;
-    
-    const trackGain = audioCtx.createGain();
-    trackGain.gain.value = track.volume;
-    trackGain.connect(audioCtx.destination);
-    
-    track.events.forEach(event => {
-      const source = audioCtx.createBufferSource();
-      const sampleGain = audioCtx.createGain();
-      
-      source.buffer = event.buffer;
-      sampleGain.gain.value = event.volume;
-      
-      // Apply tempo adjustment to playback rate
-      source.playbackRate.value = tempoMultiplier;
-      
-      source.connect(sampleGain);
-      sampleGain.connect(trackGain);
-      
-      const startTime = audioCtx.currentTime + (event.time / tempoMultiplier);
-      source.start(startTime);
-      
-      audioSources.push(source);
-      
-      // Handle looping
-      if (track.loop) {
-        source.loop = true;
-      }
-    });
+  patterns = {};
+  project.patterns.forEach(pattern => {
+    patterns[pattern.id] = pattern;
+  });
+  folders = {};
+  project.folders.forEach(folder => {
+    folders[folder.id] = { ...folder };
   });
   
-  // Auto-stop after adjusted duration if not looping
-  const duration = (totalDuration * 1000) / tempoMultiplier; // Convert to milliseconds and adjust for tempo
-  setTimeout(() => {
-    if (isPlaying && !tracks.some(t => t.loop)) {
-      stopAll();
+  // Clips whose sample is neither embedded nor in the library are left out
+  const missingSamples = new Set();
+  const loadEvent = async eventData => {
+    if (eventData.type === 'pattern') {
+      return patterns[eventData.patternId] ? { ...eventData } : null;
     }
-  }, duration);
-}
-
-// Stop all playback
-function stopAll() {
-  // Stop main playback
-  audioSources.forEach(source => {
-    try {
-      source.stop();
-    } catch (e) {
-      // Source may already be stopped
+    if (eventData.type === 'notes') {
+      if (!getSampleInfo(eventData.sampleId)) {
+        missingSamples.add(eventData.name);
+        return null;
+      }
+      await loadSample(eventData.sampleId);
+      return { ...eventData, notes: eventData.notes.map(note => ({ ...note })) };
     }
-  });
-  audioSources = [];
-  isPlaying = false;
-  document.getElementById('play-all').textContent = '▶️ Play All';
-  
-  // Stop all individual tracks
-  tracks.forEach((track, index) => {
-    if (trackPlayStates[index]) {
-      stopTrack(index);
+    if (!eventData.takes && !getSampleInfo(eventData.sampleId)) {
+      missingSamples.add(eventData.name);
+      return null;
     }
-  });
+    const event = {
+      sampleId: eventData.sampleId,
+      position: eventData.position,
+      name: eventData.name,
+      volume: eventData.volume,
+      duration: eventData.duration
+    };
+    Object.keys(CLIP_DEFAULTS).forEach(key => {
+      event[key] = eventData[key];
+    });
+    if (eventData.takes) {
+      const takes = await Promise.all(eventData.takes.map(async take => ({
+        buffer: await decodeEmbeddedAudio(take.audio)
+      })));
+      applyTakes(event, { takes, comp: eventData.comp.map(segment => ({ ...segment })), duration: event.duration });
+    } else {
+      await loadSample(eventData.sampleId);
+    }
+    return event;
+  };
   
-  // Stop playback position animation
-  if (playbackPositionInterval) {
-    clearInterval(playbackPositionInterval);
-    playbackPositionInterval = null;
+  const loadedTracks = await Promise.all(project.tracks.map(async trackData => ({
+    id: trackData.id,
+    name: trackData.name,
+    color: trackData.color,
+    folderId: trackData.folderId,
+    events: (await Promise.all(trackData.events.map(loadEvent))).filter(Boolean),
+    volume: trackData.volume,
+    loop: trackData.loop,
+    muted: trackData.muted,
+    solo: trackData.solo,
+    synth: trackData.synth,
+    effects: trackData.effects,
+    pan: trackData.pan,
+    sends: trackData.sends,
+    automation: trackData.automation
+  })));
+  
+  replaceTracks(loadedTracks);
+  if (tracks.length === 0) {
+    insertTrack(newTrack([]), 0);
   }
   
-  // Reset playback position
-  const positionElement = document.querySelector('.playback-position');
-  if (positionElement) {
-    positionElement.style.left = '0px';
+  // Commands in the history refer to the tracks that were just replaced
+  clearHistory();
+  
+  tempoMap = project.tempoMap;
+  clearTempoCache();
+  setBPM(project.bpm);
+  mixer = project.mixer;
+  loopRegion = project.loopRegion;
+  selectedTrackIndex = 0;
+  renderTracks();
+  scheduleAutosave();
+  
+  if (missingSamples.size > 0) {
+    alert(`These samples are not in your library, so their clips were left out: ${[...missingSamples].join(', ')}`);
   }
 }
 
-// Clear all tracks
-function clearAll() {
-  if (confirm('Are you sure you want to clear all tracks?')) {
-    // Stop all playback first
-    stopAll();
-    
-    tracks = [];
-    trackPlayStates = [];
-    trackAudioSources = [];
-    
-    createTrack();
-    selectedTrackIndex = 0;
+// Save the session as a project file
+function saveProject() {
+  const json = JSON.stringify(serializeProject(), null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  downloadBlob(blob, `music-maker-project-${Date.now()}.json`);
+}
+
+// Open a project file chosen by the user
+async function openProjectFile(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    await loadProject(data);
+  } catch (error) {
+    console.error('Error opening project:', error);
+    alert(`Could not open project: ${error.message}`);
   }
 }
 
-// Keyboard shortcuts
-function setupKeyboardShortcuts() {
-  document.addEventListener('keydown', e => {
-    // Don't trigger shortcuts when typing in inputs
-    if (e.target.tagName === 'INPUT') return;
-    
-    switch (e.key.toLowerCase()) {
-      case ' ':
-        e.preventDefault();
-        if (isPlaying) {
-          stopAll();
-        } else {
-          playAll();
+// Setup Save Project / Open Project controls
+function setupProjectControls() {
+  const fileInput = document.getElementById('project-file');
+  
+  document.getElementById('save-project').addEventListener('click', saveProject);
+  document.getElementById('open-project').addEventListener('click', () => fileInput.click());
+  
+  fileInput.addEventListener('change', async e => {
+    const file = e.target.files[0];
+    if (file) {
+      await openProjectFile(file);
+    }
+    // Allow re-opening the same file
+    fileInput.value = '';
+  });
+}
+
+// Session autosave (IndexedDB)
+const AUTOSAVE_DB_NAME = 'music-maker';
+const AUTOSAVE_DB_VERSION = 2;
+const SNAPSHOT_STORE = 'snapshots';
+const SAMPLE_STORE = 'samples'; // User sample library, see importAudioFile()
+const AUTOSAVE_DELAY = 500; // ms of quiet before a mutation is written
+const SNAPSHOT_INTERVAL = 60 * 1000; // Start a new rolling snapshot at most once a minute
+const MAX_SNAPSHOTS = 5;
+
+let autosaveDBPromise = null;
+
+function openAutosaveDB() {
+  if (!autosaveDBPromise) {
+    autosaveDBPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      
+      const request = indexedDB.open(AUTOSAVE_DB_NAME, AUTOSAVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id' });
         }
-        break;
-      case 't':
-        e.preventDefault();
-        createTrack();
-        break;
-      case 'delete':
-      case 'backspace':
-        e.preventDefault();
-        if (selectedTrackIndex >= 0) {
-          deleteTrack(selectedTrackIndex);
+        if (!db.objectStoreNames.contains(SAMPLE_STORE)) {
+          db.createObjectStore(SAMPLE_STORE, { keyPath: 'id' });
         }
-        break;
-      case 'arrowup':
-        e.preventDefault();
-        selectedTrackIndex = Math.max(0, selectedTrackIndex - 1);
-        renderTracks();
-        break;
-      case 'arrowdown':
-        e.preventDefault();
-        selectedTrackIndex = Math.min(tracks.length - 1, selectedTrackIndex + 1);
-        renderTracks();
-        break;
-      case 'arrowleft':
-        // Decrease BPM
-        e.preventDefault();
-        bpm = Math.max(60, bpm - 5);
-        document.getElementById('bpm-slider').value = bpm;
-        document.getElementById('bpm-display').textContent = bpm;
-        break;
-      case 'arrowright':
-        // Increase BPM
-        e.preventDefault();
-        bpm = Math.min(200, bpm + 5);
-        document.getElementById('bpm-slider').value = bpm;
-        document.getElementById('bpm-display').textContent = bpm;
-        break;
-      case 'r':
-        e.preventDefault();
-        document.getElementById('record-vocals').click();
-        break;
-      case 's':
-        e.preventDefault();
-        document.getElementById('download-song').click();
-        break;
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return autosaveDBPromise;
+}
+
+// Run a callback against an object store; resolves once the transaction commits
+async function withStore(storeName, mode, callback) {
+  const db = await openAutosaveDB();
+  
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    let result;
+    const request = callback(transaction.objectStore(storeName));
+    if (request) {
+      request.onsuccess = () => { result = request.result; };
     }
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
   });
 }
 
-// Recording vocals with improved functionality
-async function recordVocals() {
-  if (mediaRecorder && mediaRecorder.state === 'recording') {
-    mediaRecorder.stop();
-    return;
+// Queue an autosave after a mutation; bursts of edits are written once
+function scheduleAutosave() {
+  if (!autosaveEnabled) return;
+  
+  clearTimeout(autosaveTimer);
+  autosaveTimer = setTimeout(() => {
+    autosaveTimer = null;
+    saveSnapshot();
+  }, AUTOSAVE_DELAY);
+}
+
+// Write any pending autosave immediately
+function flushAutosave() {
+  if (autosaveTimer) {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    saveSnapshot();
+  }
+}
+
+// Make the next autosave open a new snapshot instead of updating the current one
+function startNewSnapshot() {
+  currentSnapshotId = null;
+}
+
+// Write the session into the current rolling snapshot, then drop the oldest
+// snapshots beyond MAX_SNAPSHOTS. The state is captured synchronously.
+function saveSnapshot() {
+  const now = Date.now();
+  if (!currentSnapshotId || now - currentSnapshotId > SNAPSHOT_INTERVAL) {
+    currentSnapshotId = now;
   }
   
-  try {
-    initAudioContext();
-    recordingStream = await navigator.mediaDevices.getUserMedia({ 
-      audio: {
-        echoCancellation: true,
-        noiseSuppression: true,
-        autoGainControl: true
-      }
-    });
-    
-    mediaRecorder = new MediaRecorder(recordingStream);
-    recordedChunks = [];
-    
-    mediaRecorder.ondataavailable = e => recordedChunks.push(e.data);
-    
-    mediaRecorder.onstop = async () => {
-      const blob = new Blob(recordedChunks, { type: 'audio/wav' });
-      const arrayBuffer = await blob.arrayBuffer();
-      const audioBuffer = await audioCtx.decodeAudioData(arrayBuffer);
-      
-      // Add recorded audio to selected track
-      if (selectedTrackIndex >= 0) {
-        tracks[selectedTrackIndex].events.push({
-          buffer: audioBuffer,
-          time: 0,
-          name: 'recorded',
-          volume: 0.8,
-          duration: audioBuffer.duration
-        });
-        renderTracks();
-      }
-      
-      recordingStream.getTracks().forEach(track => track.stop());
-      document.getElementById('record-vocals').textContent = '🎤 Record Vocals';
+  const record = {
+    id: currentSnapshotId,
+    savedAt: now,
+    selectedTrackIndex,
+    project: serializeProject({ audioFormat: 'pcm', embedSamples: false })
+  };
+  
+  return withStore(SNAPSHOT_STORE, 'readwrite', store => {
+    store.put(record);
+    const keysRequest = store.getAllKeys();
+    keysRequest.onsuccess = () => {
+      const keys = keysRequest.result.sort((a, b) => b - a);
+      keys.slice(MAX_SNAPSHOTS).forEach(key => store.delete(key));
     };
-    
-    mediaRecorder.start();
-    document.getElementById('record-vocals').textContent = '⏹️ Stop Recording';
-    
+  }).catch(error => {
+    console.error('Autosave failed:', error);
+  });
+}
+
+// List saved snapshots, newest first
+async function listSnapshots() {
+  try {
+    const snapshots = await withStore(SNAPSHOT_STORE, 'readonly', store => store.getAll());
+    return snapshots.sort((a, b) => b.id - a.id);
   } catch (error) {
-    console.error('Error accessing microphone:', error);
-    alert('Could not access microphone. Please check permissions.');
+    console.warn('Could not read autosaved sessions:', error);
+    return [];
   }
 }
 
-// Download functionality
-function downloadSong() {
-  if (!audioCtx) {
-    alert('Please play the song first before downloading.');
-    return;
-  }
+// Replace the session with a snapshot
+async function restoreSnapshot(snapshot) {
+  // Keep whatever is open now as a snapshot of its own
+  flushAutosave();
+  startNewSnapshot();
   
-  // Create offline context for rendering
-  const offlineCtx = new OfflineAudioContext(2, audioCtx.sampleRate * 10, audioCtx.sampleRate);
-  
-  tracks.forEach(track => {
-    if (track.muted) return;
+  await loadProject(snapshot.project);
+  selectedTrackIndex = Math.max(0, Math.min(tracks.length - 1, snapshot.selectedTrackIndex));
+  renderTracks();
+}
+
+// Describe a snapshot for the picker
+function describeSnapshot(snapshot) {
+  const project = snapshot.project;
+  const eventCount = project.tracks.reduce((sum, track) => sum + track.events.length, 0);
+  const when = new Date(snapshot.savedAt).toLocaleString();
+  return `${when} — ${project.tracks.length} track${project.tracks.length === 1 ? '' : 's'}, ` +
+    `${eventCount} sample${eventCount === 1 ? '' : 's'}, ${project.bpm} BPM`;
+}
+
+// Let the user pick a snapshot to restore; resolves when the dialog closes
+function showSnapshotPicker(snapshots, { startup = false } = {}) {
+  return new Promise(resolve => {
+    const modal = openModal(startup ? '🕘 Restore Last Session?' : '🕘 Restore Session', { onClose: resolve });
     
-    const trackGain = offlineCtx.createGain();
-    trackGain.gain.value = track.volume;
-    trackGain.connect(offlineCtx.destination);
+    const intro = document.createElement('p');
+    intro.textContent = startup
+      ? 'Music Maker found autosaved work from a previous session.'
+      : 'Pick an autosaved state to go back to. The current session is kept as a snapshot.';
+    modal.body.appendChild(intro);
     
-    track.events.forEach(event => {
-      const source = offlineCtx.createBufferSource();
-      const sampleGain = offlineCtx.createGain();
-      
-      source.buffer = event.buffer;
-      sampleGain.gain.value = event.volume;
-      
-      source.connect(sampleGain);
-      sampleGain.connect(trackGain);
-      
-      source.start(event.time);
+    const list = document.createElement('div');
+    list.className = 'snapshot-list';
+    snapshots.forEach((snapshot, index) => {
+      const button = document.createElement('button');
+      button.className = 'snapshot-item';
+      button.textContent = `${index === 0 ? '⭐ ' : ''}${describeSnapshot(snapshot)}`;
+      button.addEventListener('click', async () => {
+        try {
+          await restoreSnapshot(snapshot);
+        } catch (error) {
+          console.error('Error restoring session:', error);
+          alert(`Could not restore session: ${error.message}`);
+        }
+        modal.close();
+      });
+      list.appendChild(button);
     });
-  });
-  
-  offlineCtx.startRendering().then(buffer => {
-    // Convert to WAV and download
-    const wav = audioBufferToWav(buffer);
-    const blob = new Blob([wav], { type: 'audio/wav' });
-    const url = URL.createObjectURL(blob);
+    modal.body.appendChild(list);
     
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `music-maker-${Date.now()}.wav`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
+    if (startup) {
+      const actions = document.createElement('div');
+      actions.className = 'modal-actions';
+      const freshBtn = document.createElement('button');
+      freshBtn.textContent = '✨ Start Fresh';
+      freshBtn.addEventListener('click', modal.close);
+      actions.appendChild(freshBtn);
+      modal.body.appendChild(actions);
+    }
   });
 }
 
-// Convert AudioBuffer to WAV format
-function audioBufferToWav(buffer) {
-  const length = buffer.length;
-  const numberOfChannels = buffer.numberOfChannels;
-  const sampleRate = buffer.sampleRate;
-  const bitsPerSample = 16;
-  const bytesPerSample = bitsPerSample / 8;
-  const blockAlign = numberOfChannels * bytesPerSample;
-  const byteRate = sampleRate * blockAlign;
-  const dataSize = length * blockAlign;
-  const chunkSize = 36 + dataSize;
-  
-  const arrayBuffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(arrayBuffer);
-  
-  // WAV header
-  const writeString = (offset, string) => {
-    for (let i = 0; i < string.length; i++) {
-      view.setUint8(offset + i, string.charCodeAt(i));
-    }
-  };
-  
-  writeString(0, 'RIFF');
-  view.setUint32(4, chunkSize, true);
-  writeString(8, 'WAVE');
-  writeString(12, 'fmt ');
-  view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
-  view.setUint16(22, numberOfChannels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, byteRate, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, bitsPerSample, true);
-  writeString(36, 'data');
-  view.setUint32(40, dataSize, true);
-  
-  // Convert float samples to 16-bit PCM
-  let offset = 44;
-  for (let i = 0; i < length; i++) {
-    for (let channel = 0; channel < numberOfChannels; channel++) {
-      const sample = Math.max(-1, Math.min(1, buffer.getChannelData(channel)[i]));
-      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
-      offset += 2;
-    }
+// Open the snapshot picker from the toolbar
+async function openSessionHistory() {
+  flushAutosave();
+  const snapshots = await listSnapshots();
+  if (snapshots.length === 0) {
+    alert('No autosaved sessions yet.');
+    return;
   }
-  
-  return arrayBuffer;
+  await showSnapshotPicker(snapshots);
 }
 
 // Initialize application
-function init() {
-  // Initialize arrays
-  trackPlayStates = [];
-  trackAudioSources = [];
+async function init() {
+  // Initialize per-track play state
+  trackPlayStates = new Map();
+  trackAudioSources = new Map();
   
-  // Create initial track
-  createTrack();
-  selectedTrackIndex = 0;
+  tempoMap = newTempoMap();
+  clearTempoCache();
+  loopRegion = newLoopRegion();
+  pixelsPerBeat = DEFAULT_PIXELS_PER_BEAT;
+  recordingSettings = loadRecordingSettings();
   
   // Setup event listeners
   document.getElementById('add-track').addEventListener('click', createTrack);
+  document.getElementById('add-folder').addEventListener('click', createFolder);
   document.getElementById('play-all').addEventListener('click', playAll);
   document.getElementById('stop-all').addEventListener('click', stopAll);
-  document.getElementById('download-song').addEventListener('click', downloadSong);
+  document.getElementById('download-song').addEventListener('click', openExportDialog);
   document.getElementById('record-vocals').addEventListener('click', recordVocals);
+  document.getElementById('recording-settings').addEventListener('click', openRecordingSettings);
+  document.getElementById('metronome').addEventListener('click', toggleMetronome);
+  document.getElementById('metronome').classList.toggle('active', recordingSettings.metronome);
   document.getElementById('clear-all').addEventListener('click', clearAll);
+  document.getElementById('restore-session').addEventListener('click', openSessionHistory);
+  document.getElementById('midi').addEventListener('click', openMidiDialog);
+  document.getElementById('mixer').addEventListener('click', openMixer);
+  setupMeters();
+  setupPlayheadControl();
+  setupLoopRegionControl();
+  setupTempoTrack();
+  setupTimelineZoom();
+  document.getElementById('undo').addEventListener('click', undo);
+  document.getElementById('redo').addEventListener('click', redo);
+  updateHistoryButtons();
+  setupProjectControls();
   
   // Setup BPM control
   setupBPMControl();
@@ -869,35 +7725,64 @@ function init() {
   setupInstruments();
   setupKeyboardShortcuts();
   
-  // Initialize timeline with default duration
-  updateTimelineRuler(10);
+  // Setup snap grid
+  setupGridControl();
+  
+  // Load the palette, then the user's own samples, before any session refers to them
+  preloadSamples();
+  await loadUserSamples();
   
   // Handle window resize for timeline
   window.addEventListener('resize', () => {
     if (isPlaying) {
       updatePlaybackPosition();
     }
-    // Re-render timeline on resize
-    const totalDuration = getTotalDuration();
-    updateTimelineRuler(totalDuration);
+    // Re-render timeline on resize, it grows to fill a wider view
+    renderTracks();
   });
   
   console.log('🎵 Music Maker Enhanced - Ready to rock!');
   console.log('🎛️ New features: Draggable samples, BPM control, dynamic playback position indicator');
+  
+  // Offer to bring back the last session before autosave starts writing
+  const snapshots = await listSnapshots();
+  if (snapshots.length > 0) {
+    await showSnapshotPicker(snapshots, { startup: true });
+  }
+  
+  // Start with an empty track unless a session was restored
+  if (tracks.length === 0) {
+    insertTrack(newTrack([]), 0);
+    selectedTrackIndex = 0;
+    renderTracks();
+  }
+  autosaveEnabled = true;
+  // Edits made while the prompt was open have not been written yet
+  if (undoStack.length > 0) {
+    scheduleAutosave();
+  }
+  
+  // Write pending edits before the tab goes away
+  window.addEventListener('pagehide', flushAutosave);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flushAutosave();
+    }
+  });
 }
 
 // Play individual track
-function playTrack(trackIndex) {
-  console.log(`=== Playing track ${trackIndex} ===`);
+function playTrack(trackId) {
+  console.log(`=== Playing track ${trackId} ===`);
   
   // Stop if already playing
-  if (trackPlayStates[trackIndex]) {
+  if (trackPlayStates.get(trackId)) {
     console.log('Track already playing, stopping it');
-    stopTrack(trackIndex);
+    stopTrack(trackId);
     return;
   }
   
-  const track = tracks[trackIndex];
+  const track = tracks.find(candidate => candidate.id === trackId);
   console.log('Track data:', track);
   
   if (!track) {
@@ -905,7 +7790,7 @@ function playTrack(trackIndex) {
     return;
   }
   
-  if (track.muted) {
+  if (track.muted || getTrackFolder(track)?.muted) {
     console.log('Track is muted');
     return;
   }
@@ -926,83 +7811,41 @@ function playTrack(trackIndex) {
   }
   
   // Set track as playing
-  trackPlayStates[trackIndex] = true;
-  if (!trackAudioSources[trackIndex]) {
-    trackAudioSources[trackIndex] = [];
-  } else {
-    trackAudioSources[trackIndex] = [];
-  }
+  trackPlayStates.set(trackId, true);
+  trackAudioSources.set(trackId, []);
   
   console.log(`Starting playback of ${track.events.length} events`);
   
-  // Calculate tempo-adjusted timing
-  const tempoMultiplier = bpm / 120;
-  console.log('Tempo multiplier:', tempoMultiplier);
-  
-  // Create track gain node
-  const trackGain = audioCtx.createGain();
-  trackGain.gain.value = track.volume;
-  trackGain.connect(audioCtx.destination);
-  
-  // Play each event
-  track.events.forEach((event, eventIndex) => {
-    console.log(`Playing event ${eventIndex}:`, { name: event.name, time: event.time, volume: event.volume });
-    
-    try {
-      const source = audioCtx.createBufferSource();
-      const sampleGain = audioCtx.createGain();
-      
-      source.buffer = event.buffer;
-      sampleGain.gain.value = event.volume;
-      source.playbackRate.value = tempoMultiplier;
-      
-      source.connect(sampleGain);
-      sampleGain.connect(trackGain);
-      
-      const startTime = audioCtx.currentTime + (event.time / tempoMultiplier);
-      console.log(`Starting at time: ${startTime}`);
-      
-      source.start(startTime);
-      trackAudioSources[trackIndex].push(source);
-      
-      // Handle looping
-      if (track.loop) {
-        source.loop = true;
-        console.log('Loop enabled for this event');
+  // Play the track through the shared graph; it stops by itself at the
+  // end of the track unless it loops
+  try {
+    trackAudioSources.set(trackId, startTransport([track], {
+      when: audioCtx.currentTime,
+      getEnd: () => getTrackDuration(track),
+      onEnd: () => {
+        console.log('Auto-stopping track');
+        stopTrack(trackId);
       }
-      
-    } catch (error) {
-      console.error(`Error playing event ${eventIndex}:`, error);
-    }
-  });
+    }).sources);
+    updateLiveMix();
+    startMeters();
+  } catch (error) {
+    console.error('Error scheduling track:', error);
+  }
   
   // Update button state
-  updateTrackPlayButton(trackIndex);
+  updateTrackPlayButton(trackId);
   console.log('Track play state updated');
   
-  // Auto-stop after track duration if not looping
-  if (!track.loop) {
-    const trackDuration = getTrackDuration(trackIndex);
-    const duration = (trackDuration * 1000) / tempoMultiplier;
-    console.log(`Will auto-stop after ${duration}ms`);
-    
-    setTimeout(() => {
-      if (trackPlayStates[trackIndex]) {
-        console.log('Auto-stopping track');
-        stopTrack(trackIndex);
-      }
-    }, duration + 500);
-  }
-  
   console.log('=== Track playback started ===');
 }
 
 // Stop individual track
-function stopTrack(trackIndex) {
-  console.log(`Stopping track ${trackIndex}`);
+function stopTrack(trackId) {
+  console.log(`Stopping track ${trackId}`);
   
-  if (trackAudioSources[trackIndex]) {
-    trackAudioSources[trackIndex].forEach(source => {
+  if (trackAudioSources.has(trackId)) {
+    trackAudioSources.get(trackId).forEach(source => {
       try {
         source.stop();
       } catch (e) {
@@ -1010,20 +7853,19 @@ function stopTrack(trackIndex) {
         console.log('Source already stopped:', e);
       }
     });
-    trackAudioSources[trackIndex] = [];
+    trackAudioSources.set(trackId, []);
   }
   
-  trackPlayStates[trackIndex] = false;
-  updateTrackPlayButton(trackIndex);
+  trackPlayStates.set(trackId, false);
+  updateTrackPlayButton(trackId);
 }
 
 // Get duration of a specific track
-function getTrackDuration(trackIndex) {
-  const track = tracks[trackIndex];
+function getTrackDuration(track) {
   let maxDuration = 0;
   
   track.events.forEach(event => {
-    const eventEnd = event.time + event.duration;
+    const eventEnd = eventStartSeconds(event) + eventDurationSeconds(event);
     if (eventEnd > maxDuration) {
       maxDuration = eventEnd;
     }
@@ -1033,22 +7875,22 @@ function getTrackDuration(trackIndex) {
 }
 
 // Update track play button appearance
-function updateTrackPlayButton(trackIndex) {
-  console.log(`Updating track ${trackIndex} button, playing: ${trackPlayStates[trackIndex]}`);
+function updateTrackPlayButton(trackId) {
+  console.log(`Updating track ${trackId} button, playing: ${trackPlayStates.get(trackId)}`);
   
-  const trackEl = document.querySelector(`.track[data-index="${trackIndex}"]`);
+  const trackEl = document.querySelector(`.track[data-id="${trackId}"]`);
   if (!trackEl) {
-    console.log(`Track element not found for index ${trackIndex}`);
+    console.log(`Track element not found for id ${trackId}`);
     return;
   }
   
   const playBtn = trackEl.querySelector('.play-track');
   if (!playBtn) {
-    console.log(`Play button not found for track ${trackIndex}`);
+    console.log(`Play button not found for track ${trackId}`);
     return;
   }
   
-  if (trackPlayStates[trackIndex]) {
+  if (trackPlayStates.get(trackId)) {
     playBtn.textContent = '⏸️';
     playBtn.classList.add('playing');
     playBtn.title = 'Stop Track';
@@ -0,0 +1,323 @@
+// Music Maker WAV encoder - wav-encoder.js
+//
+// Encodes AudioBuffers as RIFF/WAVE files. Supports 16/24-bit integer PCM and
+// 32-bit IEEE float, TPDF dither when reducing to integer samples, peak or
+// loudness (LUFS) normalization and LIST/INFO metadata.
+
+// Sample formats the encoder can write
+const WAV_SAMPLE_FORMATS = {
+  pcm16: { bitsPerSample: 16, float: false },
+  pcm24: { bitsPerSample: 24, float: false },
+  float32: { bitsPerSample: 32, float: true }
+};
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+
+// Default encoder options
+const WAV_ENCODER_DEFAULTS = {
+  format: 'pcm16',
+  dither: true,
+  normalize: 'none', // 'none' | 'peak' | 'lufs'
+  targetPeak: -1, // dBFS, used by peak normalization
+  targetLoudness: -14, // LUFS, used by loudness normalization
+  metadata: null // { title, artist, bpm }
+};
+
+// Encode an AudioBuffer as a WAV file and return its ArrayBuffer
+function encodeWav(buffer, options = {}) {
+  const settings = { ...WAV_ENCODER_DEFAULTS, ...options };
+  const sampleFormat = WAV_SAMPLE_FORMATS[settings.format];
+  if (!sampleFormat) {
+    throw new Error(`Unsupported WAV sample format: ${settings.format}`);
+  }
+  
+  const numberOfChannels = buffer.numberOfChannels;
+  const length = buffer.length;
+  const sampleRate = buffer.sampleRate;
+  const bytesPerSample = sampleFormat.bitsPerSample / 8;
+  const blockAlign = numberOfChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+  
+  const channels = [];
+  for (let channel = 0; channel < numberOfChannels; channel++) {
+    channels.push(buffer.getChannelData(channel));
+  }
+  const gain = getNormalizationGain(channels, sampleRate, settings);
+  
+  // Assemble the chunks; float files also need a 'fact' chunk
+  const fmtSize = sampleFormat.float ? 18 : 16;
+  const infoChunk = buildInfoChunk(settings.metadata);
+  const chunksSize = (8 + fmtSize) +
+    (sampleFormat.float ? 12 : 0) +
+    (infoChunk ? infoChunk.byteLength : 0) +
+    (8 + dataSize + (dataSize % 2));
+  
+  const arrayBuffer = new ArrayBuffer(12 + chunksSize);
+  const view = new DataView(arrayBuffer);
+  let offset = 0;
+  
+  writeFourCC(view, offset, 'RIFF');
+  view.setUint32(offset + 4, 4 + chunksSize, true);
+  writeFourCC(view, offset + 8, 'WAVE');
+  offset += 12;
+  
+  writeFourCC(view, offset, 'fmt ');
+  view.setUint32(offset + 4, fmtSize, true);
+  view.setUint16(offset + 8, sampleFormat.float ? WAVE_FORMAT_IEEE_FLOAT : WAVE_FORMAT_PCM, true);
+  view.setUint16(offset + 10, numberOfChannels, true);
+  view.setUint32(offset + 12, sampleRate, true);
+  view.setUint32(offset + 16, sampleRate * blockAlign, true);
+  view.setUint16(offset + 20, blockAlign, true);
+  view.setUint16(offset + 22, sampleFormat.bitsPerSample, true);
+  if (sampleFormat.float) {
+    view.setUint16(offset + 24, 0, true); // No extension data
+  }
+  offset += 8 + fmtSize;
+  
+  if (sampleFormat.float) {
+    writeFourCC(view, offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, length, true);
+    offset += 12;
+  }
+  
+  if (infoChunk) {
+    new Uint8Array(arrayBuffer, offset, infoChunk.byteLength).set(new Uint8Array(infoChunk));
+    offset += infoChunk.byteLength;
+  }
+  
+  writeFourCC(view, offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+  
+  if (sampleFormat.float) {
+    writeFloatSamples(view, offset, channels, length, gain);
+  } else {
+    writeIntegerSamples(view, offset, channels, length, gain, sampleFormat.bitsPerSample, settings.dither);
+  }
+  
+  return arrayBuffer;
+}
+
+// Resample an AudioBuffer by playing it through an OfflineAudioContext
+async function resampleAudioBuffer(buffer, sampleRate) {
+  if (buffer.sampleRate === sampleRate) return buffer;
+  
+  const length = Math.max(1, Math.ceil(buffer.duration * sampleRate));
+  const offlineCtx = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+  const source = offlineCtx.createBufferSource();
+  source.buffer = buffer;
+  source.connect(offlineCtx.destination);
+  source.start(0);
+  return offlineCtx.startRendering();
+}
+
+// Encode a WAV file, resampling first when options.sampleRate differs
+async function encodeWavFile(buffer, options = {}) {
+  const resampled = options.sampleRate
+    ? await resampleAudioBuffer(buffer, options.sampleRate)
+    : buffer;
+  return encodeWav(resampled, options);
+}
+
+function writeFourCC(view, offset, fourCC) {
+  for (let i = 0; i < 4; i++) {
+    view.setUint8(offset + i, fourCC.charCodeAt(i));
+  }
+}
+
+function writeFloatSamples(view, offset, channels, length, gain) {
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < channels.length; channel++) {
+      view.setFloat32(offset, channels[channel][i] * gain, true);
+      offset += 4;
+    }
+  }
+}
+
+// Quantize to signed integers, with optional TPDF dither of +/-1 LSB
+function writeIntegerSamples(view, offset, channels, length, gain, bitsPerSample, dither) {
+  const scale = 2 ** (bitsPerSample - 1);
+  const max = scale - 1;
+  const min = -scale;
+  
+  for (let i = 0; i < length; i++) {
+    for (let channel = 0; channel < channels.length; channel++) {
+      let value = channels[channel][i] * gain * scale;
+      if (dither) {
+        // Difference of two uniform variables gives a triangular distribution
+        value += Math.random() - Math.random();
+      }
+      value = Math.max(min, Math.min(max, Math.round(value)));
+      
+      if (bitsPerSample === 16) {
+        view.setInt16(offset, value, true);
+        offset += 2;
+      } else {
+        view.setUint8(offset, value & 0xFF);
+        view.setUint8(offset + 1, (value >> 8) & 0xFF);
+        view.setUint8(offset + 2, (value >> 16) & 0xFF);
+        offset += 3;
+      }
+    }
+  }
+}
+
+// Gain that brings the audio to the requested peak or loudness
+function getNormalizationGain(channels, sampleRate, settings) {
+  if (settings.normalize === 'peak') {
+    const peak = getPeak(channels);
+    return peak > 0 ? dbToGain(settings.targetPeak) / peak : 1;
+  }
+  if (settings.normalize === 'lufs') {
+    const loudness = measureIntegratedLoudness(channels, sampleRate);
+    return Number.isFinite(loudness) ? dbToGain(settings.targetLoudness - loudness) : 1;
+  }
+  return 1;
+}
+
+function getPeak(channels) {
+  let peak = 0;
+  channels.forEach(data => {
+    for (let i = 0; i < data.length; i++) {
+      const level = Math.abs(data[i]);
+      if (level > peak) peak = level;
+    }
+  });
+  return peak;
+}
+
+function dbToGain(db) {
+  return 10 ** (db / 20);
+}
+
+// Integrated loudness in LUFS following ITU-R BS.1770: K-weighting, 400 ms
+// blocks with 75% overlap, an absolute gate at -70 LUFS and a relative gate
+// 10 LU below the absolute-gated level. Returns -Infinity for silence.
+function measureIntegratedLoudness(channels, sampleRate) {
+  const weighted = channels.map(data => applyKWeighting(data, sampleRate));
+  const blockSize = Math.round(0.4 * sampleRate);
+  const hopSize = Math.round(0.1 * sampleRate);
+  const length = weighted[0].length;
+  
+  const blockPowers = [];
+  for (let start = 0; start + blockSize <= length; start += hopSize) {
+    let power = 0;
+    weighted.forEach(data => {
+      let sum = 0;
+      for (let i = start; i < start + blockSize; i++) {
+        sum += data[i] * data[i];
+      }
+      power += sum / blockSize;
+    });
+    blockPowers.push(power);
+  }
+  
+  const toLoudness = power => -0.691 + 10 * Math.log10(power);
+  const gatedMean = threshold => {
+    const kept = blockPowers.filter(power => toLoudness(power) > threshold);
+    return kept.length ? kept.reduce((sum, power) => sum + power, 0) / kept.length : 0;
+  };
+  
+  const absoluteGated = gatedMean(-70);
+  if (absoluteGated === 0) return -Infinity;
+  
+  const relativeGated = gatedMean(toLoudness(absoluteGated) - 10);
+  return relativeGated > 0 ? toLoudness(relativeGated) : -Infinity;
+}
+
+// K-weighting: a high-shelf "head" filter followed by a high-pass, with
+// coefficients derived for any sample rate
+function applyKWeighting(data, sampleRate) {
+  const shelf = (() => {
+    const K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    const Q = 0.7071752369554196;
+    const Vh = dbToGain(3.999843853973347);
+    const Vb = Vh ** 0.4996667741545416;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b0: (Vh + Vb * K / Q + K * K) / a0,
+      b1: 2 * (K * K - Vh) / a0,
+      b2: (Vh - Vb * K / Q + K * K) / a0,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+  })();
+  
+  const highPass = (() => {
+    const K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    const Q = 0.5003270373238773;
+    const a0 = 1 + K / Q + K * K;
+    return {
+      b0: 1,
+      b1: -2,
+      b2: 1,
+      a1: 2 * (K * K - 1) / a0,
+      a2: (1 - K / Q + K * K) / a0
+    };
+  })();
+  
+  return applyBiquad(applyBiquad(data, shelf), highPass);
+}
+
+function applyBiquad(input, { b0, b1, b2, a1, a2 }) {
+  const output = new Float32Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y;
+    x2 = x1;
+    x1 = x;
+    y2 = y1;
+    y1 = y;
+  }
+  return output;
+}
+
+// Build a LIST/INFO chunk from { title, artist, bpm }, or null if empty.
+// INFO has no dedicated tempo field, so the tempo goes into the comment.
+function buildInfoChunk(metadata) {
+  if (!metadata) return null;
+  
+  const fields = [];
+  if (metadata.title) fields.push(['INAM', metadata.title]);
+  if (metadata.artist) fields.push(['IART', metadata.artist]);
+  if (metadata.bpm) fields.push(['ICMT', `BPM: ${metadata.bpm}`]);
+  if (fields.length === 0) return null;
+  fields.push(['ISFT', 'Music Maker']);
+  fields.push(['ICRD', new Date().toISOString().slice(0, 10)]);
+  
+  const encoder = new TextEncoder();
+  const subChunks = fields.map(([id, text]) => {
+    const bytes = encoder.encode(text);
+    const size = bytes.length + 1; // Zero terminated
+    const chunk = new Uint8Array(8 + size + (size % 2)); // Padded to even length
+    const view = new DataView(chunk.buffer);
+    writeFourCC(view, 0, id);
+    view.setUint32(4, size, true);
+    chunk.set(bytes, 8);
+    return chunk;
+  });
+  
+  const bodySize = 4 + subChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const list = new Uint8Array(8 + bodySize);
+  const view = new DataView(list.buffer);
+  writeFourCC(view, 0, 'LIST');
+  view.setUint32(4, bodySize, true);
+  writeFourCC(view, 8, 'INFO');
+  
+  let offset = 12;
+  subChunks.forEach(chunk => {
+    list.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return list.buffer;
+}
+
+// Convert AudioBuffer to WAV format (16-bit PCM unless options say otherwise)
+function audioBufferToWav(buffer, options = {}) {
+  return encodeWav(buffer, options);
+}